@@ -18,7 +18,9 @@ import { LoadingSpinner } from "./components/loading-spinner"
 // Lazy load all page components for optimal performance
 const HomePage = lazy(() => import("./pages/HomePage"))
 const ProductDetailPage = lazy(() => import("./pages/ProductDetailPage"))
+const CategoryPage = lazy(() => import("./pages/CategoryPage"))
 const CartPage = lazy(() => import("./pages/CartPage"))
+const WishlistPage = lazy(() => import("./pages/WishlistPage"))
 const CheckoutPage = lazy(() => import("./pages/CheckoutPage"))
 const NotFoundPage = lazy(() => import("./pages/NotFoundPage"))
 
@@ -38,7 +40,9 @@ const NotFoundPage = lazy(() => import("./pages/NotFoundPage"))
  * Routes:
  * - / : Home page with product list and search
  * - /product/:id : Individual product detail page
+ * - /category/:slug : Category landing page
  * - /cart : Shopping cart page
+ * - /wishlist : Saved products
  * - /checkout : Checkout and payment page
  * - * : 404 Not Found page for invalid routes
  * 
@@ -57,9 +61,15 @@ function App() {
             {/* Product Detail Page - Individual product view */}
             <Route path="/product/:id" element={<ProductDetailPage />} />
             
+            {/* Category Page - Products in one category */}
+            <Route path="/category/:slug" element={<CategoryPage />} />
+            
             {/* Cart Page - Shopping cart management */}
             <Route path="/cart" element={<CartPage />} />
             
+            {/* Wishlist Page - Saved products */}
+            <Route path="/wishlist" element={<WishlistPage />} />
+            
             {/* Checkout Page - Order completion */}
             <Route path="/checkout" element={<CheckoutPage />} />
             
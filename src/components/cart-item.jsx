@@ -4,7 +4,7 @@ import { Link } from "react-router-dom"
 import { Minus, Plus, Trash2 } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { useAppDispatch } from "@/lib/hooks"
-import { removeFromCart, updateQuantity } from "@/lib/features/cart/cart-slice"
+import { quantityLimits, removeFromCart, updateQuantity } from "@/lib/features/cart/cart-slice"
 
 /**
  * CartItem Props
@@ -13,9 +13,12 @@ import { removeFromCart, updateQuantity } from "@/lib/features/cart/cart-slice"
 
 export function CartItem({ item }) {
   const dispatch = useAppDispatch()
+  const { min, max } = quantityLimits(item)
 
   const handleUpdateQuantity = (newQuantity) => {
-    if (newQuantity >= 1) {
+    // The reducer keeps the quantity within the limits, so a quantity above a
+    // stock that has since dropped can still be lowered
+    if (newQuantity >= min) {
       dispatch(updateQuantity({ id: item.id, quantity: newQuantity }))
     }
   }
@@ -69,8 +72,9 @@ export function CartItem({ item }) {
               variant="ghost"
               size="sm"
               onClick={() => handleUpdateQuantity(item.quantity - 1)}
-              disabled={item.quantity <= 1}
+              disabled={item.quantity <= min}
               className="h-8 w-8 p-0"
+              aria-label="Decrease quantity"
             >
               <Minus className="w-3 h-3" />
             </Button>
@@ -79,7 +83,9 @@ export function CartItem({ item }) {
               variant="ghost"
               size="sm"
               onClick={() => handleUpdateQuantity(item.quantity + 1)}
+              disabled={item.quantity >= max}
               className="h-8 w-8 p-0"
+              aria-label="Increase quantity"
             >
               <Plus className="w-3 h-3" />
             </Button>
@@ -89,6 +95,14 @@ export function CartItem({ item }) {
             Subtotal: <span className="font-medium text-foreground">${(item.price * item.quantity).toFixed(2)}</span>
           </div>
         </div>
+
+        {/* Quantity limits */}
+        {(item.quantity >= max || min > 1) && (
+          <p className="text-xs text-muted-foreground mt-2">
+            {item.quantity >= max && `Only ${max} in stock. `}
+            {min > 1 && `Minimum order: ${min}.`}
+          </p>
+        )}
       </div>
     </div>
   )
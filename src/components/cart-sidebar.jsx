@@ -5,7 +5,84 @@ import { ShoppingCart, X } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetTrigger } from "@/components/ui/sheet"
 import { useAppSelector, useAppDispatch } from "@/lib/hooks"
-import { removeFromCart, updateQuantity } from "@/lib/features/cart/cart-slice"
+import { quantityLimits, removeFromCart, updateQuantity } from "@/lib/features/cart/cart-slice"
+import { VirtualList } from "./virtual-list"
+
+// Height of a cart row before it is measured: 64px image plus padding and border
+const CART_ROW_HEIGHT = 97
+
+/**
+ * CartSidebarItem Props
+ * @param {Object} item - Cart item object
+ */
+
+function CartSidebarItem({ item }) {
+  const dispatch = useAppDispatch()
+  const { min, max } = quantityLimits(item)
+
+  return (
+    <div className="flex gap-4 py-4 border-b">
+      <div className="flex-shrink-0">
+        <div className="w-16 h-16 relative rounded-lg overflow-hidden bg-muted">
+          <img
+            src={item.image || "/placeholder.svg"}
+            alt={item.title}
+            className="w-full h-full object-cover"
+          />
+        </div>
+      </div>
+      
+      <div className="flex-1 min-w-0">
+        <div className="flex justify-between items-start">
+          <div className="flex-1 min-w-0 pr-4">
+            <h4 className="font-medium text-sm line-clamp-2">{item.title}</h4>
+            <p className="text-sm font-semibold text-foreground">${item.price.toFixed(2)}</p>
+          </div>
+          
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => dispatch(removeFromCart(item.id))}
+            className="text-muted-foreground hover:text-destructive h-6 w-6 p-0"
+          >
+            <X className="w-3 h-3" />
+          </Button>
+        </div>
+        
+        <div className="flex items-center gap-2 mt-2">
+          <div className="flex items-center border rounded">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => dispatch(updateQuantity({ id: item.id, quantity: Math.max(min, item.quantity - 1) }))}
+              disabled={item.quantity <= min}
+              className="h-6 w-6 p-0"
+              aria-label="Decrease quantity"
+            >
+              -
+            </Button>
+            <span className="px-2 text-sm font-medium min-w-[1.5rem] text-center">{item.quantity}</span>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => dispatch(updateQuantity({ id: item.id, quantity: item.quantity + 1 }))}
+              disabled={item.quantity >= max}
+              className="h-6 w-6 p-0"
+              aria-label="Increase quantity"
+            >
+              +
+            </Button>
+          </div>
+          {item.quantity >= max ? (
+            <span className="text-xs text-muted-foreground">Only {max} in stock</span>
+          ) : (
+            min > 1 && <span className="text-xs text-muted-foreground">Min. {min}</span>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
 
 /**
  * CartSidebar Props
@@ -13,7 +90,6 @@ import { removeFromCart, updateQuantity } from "@/lib/features/cart/cart-slice"
  */
 
 export function CartSidebar({ children }) {
-  const dispatch = useAppDispatch()
   const { items, total } = useAppSelector((state) => state.cart)
 
   const totalItems = items.reduce((sum, item) => sum + item.quantity, 0)
@@ -23,7 +99,7 @@ export function CartSidebar({ children }) {
       <SheetTrigger asChild>
         {children}
       </SheetTrigger>
-      <SheetContent className="w-[400px] sm:w-[540px]">
+      <SheetContent className="w-[400px] sm:w-[540px] flex flex-col">
         <SheetHeader>
           <SheetTitle className="flex items-center gap-2">
             <ShoppingCart className="w-5 h-5" />
@@ -31,8 +107,8 @@ export function CartSidebar({ children }) {
           </SheetTitle>
         </SheetHeader>
         
-        <div className="flex-1 overflow-y-auto py-6">
-          {items.length === 0 ? (
+        {items.length === 0 ? (
+          <div className="flex-1 overflow-y-auto py-6">
             <div className="flex flex-col items-center justify-center py-12">
               <ShoppingCart className="w-16 h-16 text-muted-foreground mb-4" />
               <h3 className="text-lg font-semibold text-foreground mb-2">Your cart is empty</h3>
@@ -43,64 +119,17 @@ export function CartSidebar({ children }) {
                 <Link to="/">Continue Shopping</Link>
               </Button>
             </div>
-          ) : (
-            <div className="space-y-4">
-              {items.map((item) => (
-                <div key={item.id} className="flex gap-4 py-4 border-b">
-                  <div className="flex-shrink-0">
-                    <div className="w-16 h-16 relative rounded-lg overflow-hidden bg-muted">
-                      <img
-                        src={item.image || "/placeholder.svg"}
-                        alt={item.title}
-                        className="w-full h-full object-cover"
-                      />
-                    </div>
-                  </div>
-                  
-                  <div className="flex-1 min-w-0">
-                    <div className="flex justify-between items-start">
-                      <div className="flex-1 min-w-0 pr-4">
-                        <h4 className="font-medium text-sm line-clamp-2">{item.title}</h4>
-                        <p className="text-sm font-semibold text-foreground">${item.price.toFixed(2)}</p>
-                      </div>
-                      
-                      <Button
-                        variant="ghost"
-                        size="sm"
-                        onClick={() => dispatch(removeFromCart(item.id))}
-                        className="text-muted-foreground hover:text-destructive h-6 w-6 p-0"
-                      >
-                        <X className="w-3 h-3" />
-                      </Button>
-                    </div>
-                    
-                    <div className="flex items-center gap-2 mt-2">
-                      <div className="flex items-center border rounded">
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          onClick={() => dispatch(updateQuantity({ id: item.id, quantity: Math.max(1, item.quantity - 1) }))}
-                          className="h-6 w-6 p-0"
-                        >
-                          -
-                        </Button>
-                        <span className="px-2 text-sm font-medium min-w-[1.5rem] text-center">{item.quantity}</span>
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          onClick={() => dispatch(updateQuantity({ id: item.id, quantity: item.quantity + 1 }))}
-                          className="h-6 w-6 p-0"
-                        >
-                          +
-                        </Button>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              ))}
-            </div>
-          )}
-        </div>
+          </div>
+        ) : (
+          // Long carts only render the rows in view
+          <VirtualList
+            className="flex-1 min-h-0 my-2"
+            items={items}
+            itemHeight={CART_ROW_HEIGHT}
+            overscan={3}
+            renderItem={(item) => <CartSidebarItem item={item} />}
+          />
+        )}
         
         {items.length > 0 && (
           <div className="border-t pt-4 space-y-4">
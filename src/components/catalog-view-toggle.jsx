@@ -0,0 +1,52 @@
+/**
+ * CatalogViewToggle Component - ShoppyGlobe E-commerce
+ *
+ * Switches the catalog between its views:
+ * - Grid: large product cards
+ * - List: one compact row per product
+ * - Table: dense rows for comparing many products
+ */
+
+"use client"
+
+import { LayoutGrid, List, Table2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { cn } from "@/lib/utils"
+
+// Label and icon per view, in CATALOG_VIEWS order
+const VIEW_OPTIONS = [
+  { value: "grid", label: "Grid view", icon: LayoutGrid },
+  { value: "list", label: "List view", icon: List },
+  { value: "table", label: "Table view", icon: Table2 },
+]
+
+/**
+ * CatalogViewToggle Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.view - Current view
+ * @param {Function} props.onViewChange - Called with the chosen view
+ * @returns {JSX.Element} Group of view buttons
+ */
+export function CatalogViewToggle({ view, onViewChange }) {
+  return (
+    <div role="group" aria-label="Catalog view" className="inline-flex rounded-md border p-0.5">
+      {VIEW_OPTIONS.map(({ value, label, icon: Icon }) => (
+        <Button
+          key={value}
+          variant="ghost"
+          size="sm"
+          aria-label={label}
+          aria-pressed={view === value}
+          title={label}
+          onClick={() => onViewChange(value)}
+          className={cn("h-8 w-8 p-0", view === value && "bg-muted text-foreground")}
+        >
+          <Icon className="w-4 h-4" />
+        </Button>
+      ))}
+    </div>
+  )
+}
+
+// Updated: feat: Add CatalogViewToggle component for grid, list and table views
@@ -0,0 +1,107 @@
+/**
+ * CategoryProducts Component - ShoppyGlobe E-commerce
+ *
+ * This component renders a category landing page with:
+ * - Page header with the category name and product count
+ * - Products loaded from the category-products endpoint
+ * - Category links and sorting shared with the home page
+ * - Loading, error and unknown-category states
+ * - Note of the search redirect that led here, in search debug mode
+ * - Quick view dialog for a product, linkable with ?quickview=:id
+ */
+
+"use client"
+
+import { useMemo } from "react"
+import { Link } from "react-router-dom"
+import { ArrowLeft } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { useAppSelector } from "@/lib/hooks"
+import { useGetCategoriesQuery, useGetCategoryProductsQuery } from "@/lib/features/products/products-api"
+import { selectCategoryBySlug } from "@/lib/features/products/products-slice"
+import { runQuery } from "@/lib/features/products/query-engine"
+import { useQuickView } from "@/hooks/use-quick-view"
+import { ProductItem } from "./product-item"
+import { ProductQuickView } from "./product-quick-view"
+import { ProductFilters } from "./product-filters"
+import { ProductSkeleton } from "./product-skeleton"
+import { RedirectDebug } from "./search-debug"
+
+/**
+ * CategoryProducts Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.slug - Category slug from the URL
+ * @returns {JSX.Element} Category landing page content
+ */
+export function CategoryProducts({ slug }) {
+  const sortBy = useAppSelector((state) => state.products.sortBy)
+  const category = useAppSelector((state) => selectCategoryBySlug(state, slug))
+
+  const { isSuccess: categoriesLoaded } = useGetCategoriesQuery()
+  const { data, isLoading, error } = useGetCategoryProductsQuery({ slug })
+  const { openQuickView } = useQuickView()
+
+  const products = useMemo(() => runQuery(data?.products ?? [], { category: slug, sortBy }), [data, slug, sortBy])
+  const unknownCategory = categoriesLoaded && !category
+
+  // Error State - unknown slug or failed request
+  if (unknownCategory || error) {
+    return (
+      <div className="text-center py-12">
+        <div className="bg-destructive/10 border border-destructive/20 rounded-lg p-6 max-w-md mx-auto">
+          <h3 className="text-lg font-semibold text-destructive mb-2">
+            {unknownCategory ? "Category Not Found" : "Error Loading Category"}
+          </h3>
+          <p className="text-muted-foreground mb-4">
+            {unknownCategory ? `There is no category called "${slug}".` : error.error}
+          </p>
+          <Button asChild>
+            <Link to="/">
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              Back to Products
+            </Link>
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      {/* Category Header */}
+      <div className="text-center mb-8">
+        <h1 className="text-4xl font-bold text-foreground mb-2 text-balance">{category?.name ?? slug}</h1>
+        <p className="text-lg text-muted-foreground">
+          {isLoading ? "Loading products..." : `${data.total} ${data.total === 1 ? "product" : "products"}`}
+        </p>
+      </div>
+
+      <RedirectDebug />
+
+      <ProductFilters activeCategory={slug} />
+
+      {/* Products Grid */}
+      {isLoading ? (
+        <ProductSkeleton count={8} />
+      ) : products.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="bg-muted/50 rounded-lg p-8 max-w-md mx-auto">
+            <h3 className="text-lg font-semibold text-foreground mb-2">No products in this category</h3>
+            <p className="text-muted-foreground">Check back soon or browse another category.</p>
+          </div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5 gap-4 sm:gap-6">
+          {products.map((product) => (
+            <ProductItem key={product.id} product={product} onQuickView={openQuickView} />
+          ))}
+        </div>
+      )}
+
+      <ProductQuickView products={products} />
+    </div>
+  )
+}
+
+// Updated: feat: Add CategoryProducts component for category landing pages
@@ -14,6 +14,7 @@ import { Checkbox } from "@/components/ui/checkbox"
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group"
 import { useAppSelector, useAppDispatch } from "@/lib/hooks"
 import { clearCart } from "@/lib/features/cart/cart-slice"
+import { placeOrder } from "@/lib/features/orders/orders-slice"
 
 /**
  * Form data structure and payment method types
@@ -126,6 +127,7 @@ export function Checkout() {
     await new Promise((resolve) => setTimeout(resolve, 2000))
 
     setOrderPlaced(true)
+    dispatch(placeOrder({ items, total: finalTotal }))
     dispatch(clearCart())
 
     // Redirect to home after 3 seconds
@@ -0,0 +1,183 @@
+/**
+ * FrequentlyBoughtTogether Component - ShoppyGlobe E-commerce
+ *
+ * Bundle of the product being viewed and the products most often ordered
+ * with it:
+ * - Built from the orders placed from this browser
+ * - Shows the combined price of the bundle
+ * - "Add all to cart" adds every product in one click, within each one's
+ *   stock and minimum order quantity
+ * - Renders nothing until the product has been ordered with something else
+ */
+
+"use client"
+
+import { Fragment, useMemo, useState } from "react"
+import { useStore } from "react-redux"
+import { Link } from "react-router-dom"
+import { Plus, ShoppingCart } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
+import { addToCart, selectAddPlan } from "@/lib/features/cart/cart-slice"
+import { selectOrders } from "@/lib/features/orders/orders-slice"
+import { productsApi } from "@/lib/features/products/products-api"
+import { frequentlyBoughtTogether } from "@/lib/features/products/recommendations"
+import { useToast } from "@/hooks/use-toast"
+import { describeCartAdd } from "@/hooks/use-add-to-cart"
+import { LazyImage } from "./lazy-image"
+
+// Cart fields of a catalog product, with the limits its quantity is kept within
+const toBundleItem = ({ id, title, price, thumbnail, stock, minimumOrderQuantity }) => ({
+  id,
+  title,
+  price,
+  image: thumbnail,
+  stock,
+  minimumOrderQuantity,
+})
+
+/**
+ * FrequentlyBoughtTogether Component
+ *
+ * @param {Object} props - Component props
+ * @param {Product} props.product - Product being viewed
+ * @param {string} [props.className] - Classes for the section
+ * @returns {JSX.Element|null} Bundle card
+ */
+export function FrequentlyBoughtTogether({ product, className }) {
+  const dispatch = useAppDispatch()
+  const store = useStore()
+  const { toast } = useToast()
+  const [adding, setAdding] = useState(false)
+  const orders = useAppSelector(selectOrders)
+  const loadedProducts = useAppSelector((state) => state.products.products)
+
+  // Companions come from order snapshots; loaded products give current prices
+  const bundle = useMemo(() => {
+    const companions = frequentlyBoughtTogether(product.id, orders).map(({ item }) => {
+      const current = loadedProducts.find((candidate) => candidate.id === item.id)
+      return current ? toBundleItem(current) : item
+    })
+
+    return [toBundleItem(product), ...companions]
+  }, [product, orders, loadedProducts])
+
+  if (bundle.length < 2) return null
+
+  const combinedPrice = bundle.reduce((sum, item) => sum + item.price, 0)
+
+  /**
+   * Resolve Limits
+   *
+   * Companions from order snapshots carry no stock, so their current
+   * catalog data is fetched first; null when it cannot be had.
+   *
+   * @param {Object} item - Bundle item
+   * @returns {Promise<Object|null>} Bundle item with its stock and minimum order quantity
+   */
+  const resolveLimits = async (item) => {
+    if (item.stock !== undefined) return item
+
+    try {
+      const product = await dispatch(productsApi.endpoints.getProduct.initiate(item.id, { subscribe: false })).unwrap()
+      return { ...item, stock: product.stock, minimumOrderQuantity: product.minimumOrderQuantity }
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Handle Add All
+   *
+   * Adds each product as `useAddToCart` would and sums up in one toast:
+   * how many were added, and why any were capped, raised or left out.
+   */
+  const handleAddAll = async () => {
+    setAdding(true)
+    const items = await Promise.all(bundle.map(resolveLimits))
+    setAdding(false)
+
+    const notes = []
+    let added = 0
+
+    items.forEach((item, index) => {
+      if (!item) {
+        notes.push(`${bundle[index].title} could not be checked right now.`)
+        return
+      }
+
+      const plan = selectAddPlan(store.getState(), item)
+      if (plan.added > 0 || plan.removed || plan.reduced) {
+        const { id, title, price, image, stock, minimumOrderQuantity } = item
+        dispatch(addToCart({ id, title, price, image, stock, minimumOrderQuantity }))
+      }
+
+      if (plan.added > 0) added += 1
+      if (plan.added <= 0 || plan.capped || plan.raisedToMinimum) notes.push(describeCartAdd(item.title, plan))
+    })
+
+    toast({
+      title: added > 0 ? "Added to cart!" : "Nothing added",
+      description: [
+        added === bundle.length
+          ? `${added} products have been added to your cart.`
+          : `${added} of ${bundle.length} products have been added to your cart.`,
+        ...notes,
+      ].join(" "),
+      variant: added > 0 ? "default" : "destructive",
+    })
+  }
+
+  return (
+    <section className={className} aria-labelledby="frequently-bought-together">
+      <h2 id="frequently-bought-together" className="text-xl font-semibold text-foreground mb-4">
+        Frequently bought together
+      </h2>
+      <Card>
+        <CardContent className="p-4 flex flex-col lg:flex-row lg:items-center gap-6">
+          <ul className="flex flex-wrap items-center gap-3 flex-1">
+            {bundle.map((item, index) => (
+              <Fragment key={item.id}>
+                {index > 0 && (
+                  <li aria-hidden="true">
+                    <Plus className="w-4 h-4 text-muted-foreground" />
+                  </li>
+                )}
+                <li className="w-28">
+                  <Link to={`/product/${item.id}`} className="block space-y-1 group">
+                    <div className="aspect-square overflow-hidden rounded-md bg-muted">
+                      <LazyImage
+                        src={item.image || "/placeholder.svg"}
+                        alt={item.title}
+                        sizes="112px"
+                        className="w-full h-full object-cover"
+                      />
+                    </div>
+                    <p className="text-xs font-medium text-foreground line-clamp-2 group-hover:text-accent">
+                      {index === 0 ? `This item: ${item.title}` : item.title}
+                    </p>
+                    <p className="text-xs text-muted-foreground">${item.price.toFixed(2)}</p>
+                  </Link>
+                </li>
+              </Fragment>
+            ))}
+          </ul>
+
+          <div className="space-y-3 lg:w-56">
+            <p className="text-sm text-muted-foreground">
+              Total for {bundle.length} items:{" "}
+              <span className="block text-2xl font-bold text-foreground">${combinedPrice.toFixed(2)}</span>
+            </p>
+            <Button onClick={handleAddAll} disabled={adding} className="w-full">
+              <ShoppingCart className="w-4 h-4 mr-2" />
+              Add all to cart
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </section>
+  )
+}
+
+// Updated: feat: Add FrequentlyBoughtTogether bundle built from local orders
@@ -0,0 +1,39 @@
+/**
+ * HighlightedText Component - ShoppyGlobe E-commerce
+ *
+ * Text with the words that match a search query marked up, as used for
+ * product titles in search results and the search suggestions.
+ */
+
+import { highlightMatches } from "@/lib/features/products/search-ranking"
+
+/**
+ * HighlightedText Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to show
+ * @param {string} [props.query] - Search query whose matches are marked; plain text without one
+ * @param {string} [props.as="mark"] - Element wrapped around each match
+ * @param {string} [props.className] - Classes for the match elements, a highlighter style by default
+ * @returns {JSX.Element} Text with matches wrapped
+ */
+export function HighlightedText({
+  text,
+  query,
+  as: Match = "mark",
+  className = "bg-yellow-200/70 text-inherit rounded-sm dark:bg-yellow-500/30",
+}) {
+  if (!query) return text
+
+  return highlightMatches(text, query).map((segment, index) =>
+    segment.match ? (
+      <Match key={index} className={className}>
+        {segment.text}
+      </Match>
+    ) : (
+      segment.text
+    ),
+  )
+}
+
+// Updated: feat: Add HighlightedText component for search matches
@@ -0,0 +1,80 @@
+/**
+ * HoverZoomImage Component - ShoppyGlobe E-commerce
+ *
+ * Product image that magnifies the spot under the mouse:
+ * - Zooms in while a mouse hovers, following the cursor
+ * - Touch and pen input leave the image as it is
+ * - Clicking (or Enter/Space) calls `onOpen`, e.g. to open a lightbox
+ */
+
+"use client"
+
+import { useState } from "react"
+import { ZoomIn } from "lucide-react"
+import { cn } from "@/lib/utils"
+import { LazyImage } from "./lazy-image"
+
+/**
+ * HoverZoomImage Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.src - Image source URL
+ * @param {string} props.alt - Alt text
+ * @param {Function} props.onOpen - Called when the image is activated
+ * @param {string} [props.sizes] - `sizes` for the image
+ * @param {string} [props.previewSrc] - Low-quality image shown blurred while loading
+ * @param {boolean} [props.priority] - Load ahead of other images (the image is above the fold)
+ * @param {number} [props.zoom=2] - Magnification while hovering
+ * @param {string} [props.className] - Classes for the button
+ * @returns {JSX.Element} Zoomable image button
+ */
+export function HoverZoomImage({ src, alt, onOpen, sizes, previewSrc, priority = false, zoom = 2, className }) {
+  // Cursor position in percent of the image, or null while not hovering
+  const [origin, setOrigin] = useState(null)
+
+  const handlePointerMove = (event) => {
+    if (event.pointerType !== "mouse") return
+    const rect = event.currentTarget.getBoundingClientRect()
+    setOrigin({
+      x: ((event.clientX - rect.left) / rect.width) * 100,
+      y: ((event.clientY - rect.top) / rect.height) * 100,
+    })
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={onOpen}
+      onPointerMove={handlePointerMove}
+      onPointerLeave={() => setOrigin(null)}
+      className={cn(
+        "group block w-full h-full overflow-hidden cursor-zoom-in focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring",
+        className,
+      )}
+      aria-label={`View larger image of ${alt}`}
+    >
+      <div
+        className="w-full h-full transition-transform duration-200 ease-out"
+        style={
+          origin
+            ? { transform: `scale(${zoom})`, transformOrigin: `${origin.x}% ${origin.y}%` }
+            : { transform: "scale(1)" }
+        }
+      >
+        <LazyImage
+          src={src}
+          alt={alt}
+          sizes={sizes}
+          previewSrc={previewSrc}
+          priority={priority}
+          className="w-full h-full object-cover"
+        />
+      </div>
+      <span className="absolute bottom-3 right-3 rounded-full bg-background/80 p-2 opacity-0 transition-opacity group-hover:opacity-100 group-focus-visible:opacity-100">
+        <ZoomIn className="w-4 h-4" />
+      </span>
+    </button>
+  )
+}
+
+// Updated: feat: Add HoverZoomImage with a cursor-following zoom preview
@@ -0,0 +1,182 @@
+/**
+ * ImageLightbox Component - ShoppyGlobe E-commerce
+ *
+ * Fullscreen product image viewer:
+ * - Wheel and pinch zoom, drag to pan, double click to zoom in or out
+ * - Arrow keys, swipes and previous/next buttons change the image
+ * - "+", "-" and "0" zoom in, zoom out and reset
+ * - Thumbnail strip for jumping to an image
+ * - Keeps focus inside while open and closes on Escape
+ */
+
+"use client"
+
+import { useEffect } from "react"
+import { ChevronLeft, ChevronRight, ZoomIn, ZoomOut } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Dialog, DialogContent, DialogDescription, DialogTitle } from "@/components/ui/dialog"
+import { useZoomPan } from "@/hooks/use-zoom-pan"
+import { cn } from "@/lib/utils"
+
+/**
+ * ImageLightbox Component
+ *
+ * @param {Object} props - Component props
+ * @param {string[]} props.images - Image URLs
+ * @param {string} props.title - Product name, used for the dialog title and alt texts
+ * @param {boolean} props.open - Whether the lightbox is shown
+ * @param {Function} props.onOpenChange - Called with the new open state
+ * @param {number} props.index - Index of the image shown
+ * @param {Function} props.onIndexChange - Called with the index of the image to show
+ * @returns {JSX.Element} Lightbox dialog
+ */
+export function ImageLightbox({ images, title, open, onOpenChange, index: requestedIndex, onIndexChange }) {
+  const count = images.length
+  // An index left over from a product with more images falls back to the last one
+  const index = Math.min(Math.max(requestedIndex, 0), Math.max(count - 1, 0))
+  const showImage = (next) => onIndexChange((next + count) % count)
+
+  const zoom = useZoomPan({
+    onSwipe: (direction) => count > 1 && showImage(index + (direction === "next" ? 1 : -1)),
+  })
+  const { reset } = zoom
+
+  // Every image starts unzoomed
+  useEffect(() => {
+    reset()
+  }, [index, open, reset])
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case "ArrowRight":
+        if (count > 1) showImage(index + 1)
+        break
+      case "ArrowLeft":
+        if (count > 1) showImage(index - 1)
+        break
+      case "+":
+      case "=":
+        zoom.zoomIn()
+        break
+      case "-":
+        zoom.zoomOut()
+        break
+      case "0":
+        reset()
+        break
+      default:
+        return
+    }
+    event.preventDefault()
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent
+        onKeyDown={handleKeyDown}
+        overlayClassName="bg-black/90"
+        className="left-0 top-0 translate-x-0 translate-y-0 flex flex-col gap-0 w-screen max-w-none h-[100dvh] p-0 border-0 bg-black/95 text-white sm:rounded-none data-[state=closed]:zoom-out-100 data-[state=open]:zoom-in-100"
+      >
+        <DialogTitle className="sr-only">{title}</DialogTitle>
+        <DialogDescription className="sr-only">
+          Image {index + 1} of {count}. Use the arrow keys to change images and plus or minus to zoom.
+        </DialogDescription>
+
+        {/* Toolbar */}
+        <div className="flex items-center gap-2 px-4 py-3 pr-14">
+          <span className="text-sm text-white/80 tabular-nums" aria-live="polite">
+            {index + 1} / {count}
+          </span>
+          <div className="flex items-center gap-1 ml-auto">
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={zoom.zoomOut}
+              disabled={zoom.scale <= 1}
+              className="text-white hover:bg-white/10 hover:text-white"
+              aria-label="Zoom out"
+            >
+              <ZoomOut className="w-5 h-5" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={zoom.zoomIn}
+              disabled={zoom.scale >= zoom.maxScale}
+              className="text-white hover:bg-white/10 hover:text-white"
+              aria-label="Zoom in"
+            >
+              <ZoomIn className="w-5 h-5" />
+            </Button>
+          </div>
+        </div>
+
+        {/* Zoomable image */}
+        <div
+          ref={zoom.ref}
+          {...zoom.handlers}
+          className={cn(
+            "relative flex-1 min-h-0 overflow-hidden touch-none select-none",
+            zoom.scale > 1 ? "cursor-grab active:cursor-grabbing" : "cursor-zoom-in",
+          )}
+        >
+          <img
+            src={images[index] || "/placeholder.svg"}
+            alt={`${title} ${index + 1}`}
+            draggable={false}
+            className="w-full h-full object-contain"
+            style={zoom.style}
+          />
+
+          {count > 1 && (
+            <>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => showImage(index - 1)}
+                onPointerDown={(event) => event.stopPropagation()}
+                className="absolute left-2 top-1/2 -translate-y-1/2 rounded-full bg-black/40 text-white hover:bg-black/60 hover:text-white"
+                aria-label="Previous image"
+              >
+                <ChevronLeft className="w-6 h-6" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => showImage(index + 1)}
+                onPointerDown={(event) => event.stopPropagation()}
+                className="absolute right-2 top-1/2 -translate-y-1/2 rounded-full bg-black/40 text-white hover:bg-black/60 hover:text-white"
+                aria-label="Next image"
+              >
+                <ChevronRight className="w-6 h-6" />
+              </Button>
+            </>
+          )}
+        </div>
+
+        {/* Thumbnails */}
+        {count > 1 && (
+          <div className="flex justify-center gap-2 overflow-x-auto px-4 py-3">
+            {images.map((image, thumbnailIndex) => (
+              <button
+                key={thumbnailIndex}
+                type="button"
+                onClick={() => onIndexChange(thumbnailIndex)}
+                className={cn(
+                  "flex-shrink-0 w-16 h-16 rounded-md overflow-hidden border-2 transition-colors",
+                  thumbnailIndex === index ? "border-white" : "border-transparent opacity-60 hover:opacity-100",
+                )}
+                aria-label={`Show image ${thumbnailIndex + 1}`}
+                aria-current={thumbnailIndex === index}
+              >
+                <img src={image || "/placeholder.svg"} alt="" className="w-full h-full object-cover" />
+              </button>
+            ))}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+// Updated: feat: Add ImageLightbox with zoom, pan, swipe and keyboard navigation
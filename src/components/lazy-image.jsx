@@ -2,21 +2,57 @@
 
 import { useState, useRef, useEffect } from "react"
 import { cn } from "@/lib/utils"
+import { IMAGE_WIDTHS, buildSrcSet, imageTransformer, previewSource } from "@/lib/image-transformer"
+
+// Delay before the first retry of a failed image; doubled for each retry after it
+const RETRY_DELAY = 500
 
 /**
  * LazyImage Props
  * @param {string} src - Image source URL
  * @param {string} alt - Alt text
  * @param {string} [className] - Additional CSS classes
- * @param {string} [placeholder] - Placeholder image URL
+ * @param {string} [placeholder] - Image shown when `src` cannot be loaded
+ * @param {string} [sizes] - `sizes` attribute; a `srcset` is only built when given
+ * @param {number[]} [widths] - Candidate widths for the `srcset`
+ * @param {Function} [transform] - Image URL transformer, see `@/lib/image-transformer`
+ * @param {string} [previewSrc] - Low-quality image shown blurred while loading (derived from `src` when possible)
+ * @param {string} [rootMargin] - How far outside the viewport loading starts
+ * @param {number} [retries] - Attempts after a failure before showing the placeholder
+ * @param {boolean} [eager] - Load right away instead of when scrolled near
+ * @param {boolean} [priority] - Eager, and fetched ahead of other images (above-the-fold hero images)
  */
 
-export function LazyImage({ src, alt, className, placeholder = "/placeholder.svg" }) {
-  const [isLoaded, setIsLoaded] = useState(false)
-  const [isInView, setIsInView] = useState(false)
+export function LazyImage({
+  src,
+  alt,
+  className,
+  placeholder = "/placeholder.svg",
+  sizes,
+  widths = IMAGE_WIDTHS,
+  transform = imageTransformer,
+  previewSrc,
+  rootMargin = "200px",
+  retries = 2,
+  eager = false,
+  priority = false,
+}) {
+  const loadNow = eager || priority
+  const [isInView, setIsInView] = useState(loadNow)
+  // Load state of the current src; reset below when src changes
+  const [image, setImage] = useState({ src, attempt: 0, isLoaded: false, isRetrying: false, hasFailed: false })
   const imgRef = useRef(null)
 
+  if (image.src !== src) {
+    setImage({ src, attempt: 0, isLoaded: false, isRetrying: false, hasFailed: false })
+  }
+
   useEffect(() => {
+    if (loadNow) {
+      setIsInView(true)
+      return
+    }
+
     const observer = new IntersectionObserver(
       ([entry]) => {
         if (entry.isIntersecting) {
@@ -24,7 +60,7 @@ export function LazyImage({ src, alt, className, placeholder = "/placeholder.svg
           observer.disconnect()
         }
       },
-      { threshold: 0.1 },
+      { rootMargin, threshold: 0.01 },
     )
 
     if (imgRef.current) {
@@ -32,35 +68,70 @@ export function LazyImage({ src, alt, className, placeholder = "/placeholder.svg
     }
 
     return () => observer.disconnect()
-  }, [])
+  }, [loadNow, rootMargin])
+
+  // Retry a failed image after a growing delay
+  useEffect(() => {
+    if (!image.isRetrying) return
+
+    const timer = setTimeout(
+      () => setImage((current) => ({ ...current, attempt: current.attempt + 1, isRetrying: false })),
+      RETRY_DELAY * 2 ** image.attempt,
+    )
+    return () => clearTimeout(timer)
+  }, [image.isRetrying, image.attempt])
+
+  const handleError = () => {
+    setImage((current) =>
+      current.attempt < retries ? { ...current, isRetrying: true } : { ...current, hasFailed: true },
+    )
+  }
+
+  // Retries skip the srcset, in case resizing is what fails
+  const srcSet = sizes && image.attempt === 0 ? buildSrcSet(src, widths, transform) : undefined
+  const preview = previewSrc ?? (src ? previewSource(src, transform) : null)
+  const showImage = isInView && src && !image.hasFailed && !image.isRetrying
 
   return (
-    <div ref={imgRef} className={cn("relative overflow-hidden", className)}>
-      {/* Placeholder */}
-      <img
-        src={placeholder || "/placeholder.svg"}
-        alt=""
-        className={cn(
-          "w-full h-full object-cover transition-opacity duration-300",
-          isLoaded ? "opacity-0" : "opacity-100",
-        )}
-      />
+    <div ref={imgRef} className={cn("relative overflow-hidden bg-muted", className)}>
+      {/* Blurred preview, or the placeholder once the image has failed */}
+      {image.hasFailed || !src ? (
+        <img src={placeholder || "/placeholder.svg"} alt={alt} className="w-full h-full object-cover" />
+      ) : (
+        preview && (
+          <img
+            src={preview}
+            alt=""
+            aria-hidden="true"
+            className={cn(
+              "absolute inset-0 w-full h-full object-cover scale-110 blur-lg transition-opacity duration-300",
+              image.isLoaded ? "opacity-0" : "opacity-100",
+            )}
+          />
+        )
+      )}
 
       {/* Actual image */}
-      {isInView && (
+      {showImage && (
         <img
-          src={src || "/placeholder.svg"}
+          key={image.attempt}
+          src={src}
+          srcSet={srcSet}
+          sizes={srcSet ? sizes : undefined}
           alt={alt}
           className={cn(
             "absolute inset-0 w-full h-full object-cover transition-opacity duration-300",
-            isLoaded ? "opacity-100" : "opacity-0",
+            image.isLoaded ? "opacity-100" : "opacity-0",
           )}
-          onLoad={() => setIsLoaded(true)}
-          loading="lazy"
+          onLoad={() => setImage((current) => ({ ...current, isLoaded: true }))}
+          onError={handleError}
+          loading={loadNow ? "eager" : "lazy"}
+          decoding="async"
+          fetchpriority={priority ? "high" : undefined}
         />
       )}
     </div>
   )
 }
 
-// Updated: feat: Add lazy loading for images with Intersection Observer
+// Updated: feat: Add srcset, blur-up previews, retries and eager loading to LazyImage
@@ -0,0 +1,135 @@
+/**
+ * ProductCarousel Component - ShoppyGlobe E-commerce
+ *
+ * Horizontal, swipeable strip of small product cards built on Embla:
+ * - Drag or swipe on touch screens, previous/next buttons elsewhere
+ * - Buttons are disabled at either end
+ * - Optional actions (like "Clear history") next to the heading
+ */
+
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { Link } from "react-router-dom"
+import useEmblaCarousel from "embla-carousel-react"
+import { ChevronLeft, ChevronRight, Star } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import { LazyImage } from "./lazy-image"
+
+/**
+ * Carousel Card
+ *
+ * @param {Object} props
+ * @param {Object} props.product - Product or product snapshot (id, title, price, discountPercentage, rating, image or thumbnail)
+ * @returns {JSX.Element} Small product card
+ */
+function CarouselCard({ product }) {
+  const discountedPrice = product.price * (1 - (product.discountPercentage ?? 0) / 100)
+
+  return (
+    <Card className="h-full hover:shadow-md transition-shadow">
+      <Link to={`/product/${product.id}`} className="block">
+        <CardContent className="p-3 space-y-2">
+          <div className="aspect-square overflow-hidden rounded-md bg-muted">
+            <LazyImage
+              src={product.thumbnail || product.image || "/placeholder.svg"}
+              alt={product.title}
+              sizes="(min-width: 1024px) 16vw, (min-width: 768px) 25vw, (min-width: 640px) 33vw, 50vw"
+              className="w-full h-full object-cover"
+            />
+          </div>
+          <p className="text-sm font-medium text-foreground line-clamp-2">{product.title}</p>
+          <div className="flex items-center justify-between text-sm">
+            <span className="font-semibold">${discountedPrice.toFixed(2)}</span>
+            {product.rating !== undefined && (
+              <span className="flex items-center gap-1 text-muted-foreground">
+                <Star className="w-3 h-3 fill-yellow-400 text-yellow-400" />
+                {product.rating}
+              </span>
+            )}
+          </div>
+        </CardContent>
+      </Link>
+    </Card>
+  )
+}
+
+/**
+ * ProductCarousel Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section heading
+ * @param {Object[]} props.products - Products to show, in order
+ * @param {React.ReactNode} [props.actions] - Extra controls next to the heading
+ * @param {string} [props.className] - Classes for the section
+ * @returns {JSX.Element} Carousel section
+ */
+export function ProductCarousel({ title, products, actions, className }) {
+  const [emblaRef, emblaApi] = useEmblaCarousel({ align: "start", containScroll: "trimSnaps", dragFree: true })
+  const [canScrollPrev, setCanScrollPrev] = useState(false)
+  const [canScrollNext, setCanScrollNext] = useState(false)
+
+  const updateButtons = useCallback((api) => {
+    setCanScrollPrev(api.canScrollPrev())
+    setCanScrollNext(api.canScrollNext())
+  }, [])
+
+  useEffect(() => {
+    if (!emblaApi) return
+
+    updateButtons(emblaApi)
+    emblaApi.on("select", updateButtons).on("reInit", updateButtons)
+    return () => {
+      emblaApi.off("select", updateButtons).off("reInit", updateButtons)
+    }
+  }, [emblaApi, updateButtons])
+
+  return (
+    <section className={className} aria-roledescription="carousel" aria-label={title}>
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h2 className="text-xl font-semibold text-foreground">{title}</h2>
+        <div className="flex items-center gap-2">
+          {actions}
+          <Button
+            variant="outline"
+            size="icon"
+            className="h-8 w-8"
+            onClick={() => emblaApi?.scrollPrev()}
+            disabled={!canScrollPrev}
+            aria-label="Previous products"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="outline"
+            size="icon"
+            className="h-8 w-8"
+            onClick={() => emblaApi?.scrollNext()}
+            disabled={!canScrollNext}
+            aria-label="Next products"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+
+      <div ref={emblaRef} className="overflow-hidden">
+        <ul className="flex -ml-4">
+          {products.map((product, index) => (
+            <li
+              key={product.id}
+              className="min-w-0 flex-[0_0_50%] sm:flex-[0_0_33.333%] md:flex-[0_0_25%] lg:flex-[0_0_16.666%] pl-4"
+              aria-roledescription="slide"
+              aria-label={`${index + 1} of ${products.length}`}
+            >
+              <CarouselCard product={product} />
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  )
+}
+
+// Updated: feat: Add ProductCarousel component built on Embla
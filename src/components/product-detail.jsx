@@ -1,17 +1,29 @@
 "use client"
 
-import { useEffect, useState } from "react"
+import { useEffect, useRef, useState } from "react"
 import { Link } from "react-router-dom"
-import { Star, ShoppingCart, ArrowLeft, Heart } from "lucide-react"
+import { Star, ShoppingCart, ArrowLeft } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { Card, CardContent } from "@/components/ui/card"
 import { Badge } from "@/components/ui/badge"
 import { Separator } from "@/components/ui/separator"
 import { LoadingSpinner } from "./loading-spinner"
-import { useAppDispatch } from "@/lib/hooks"
-import { addToCart } from "@/lib/features/cart/cart-slice"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
 import { LazyImage } from "./lazy-image"
-import { useToast } from "@/hooks/use-toast"
+import { WishlistButton } from "./wishlist-button"
+import { HoverZoomImage } from "./hover-zoom-image"
+import { ImageLightbox } from "./image-lightbox"
+import { FrequentlyBoughtTogether } from "./frequently-bought-together"
+import { SimilarProducts } from "./similar-products"
+import { ProductReviews } from "./product-reviews"
+import { ProductInfoTabs } from "./product-info-tabs"
+import { StockStatus } from "./stock-status"
+import { useAddToCart } from "@/hooks/use-add-to-cart"
+import { useGetProductQuery } from "@/lib/features/products/products-api"
+import { selectProductById } from "@/lib/features/products/products-slice"
+import { recordProductView } from "@/lib/features/recently-viewed/recently-viewed-slice"
+import { selectLocalReviews } from "@/lib/features/reviews/reviews-slice"
+import { combinedRating } from "@/lib/features/reviews/reviews"
 
 /**
  * ProductDetail Props
@@ -20,57 +32,38 @@ import { useToast } from "@/hooks/use-toast"
 
 export function ProductDetail({ productId }) {
   const dispatch = useAppDispatch()
-  const { toast } = useToast()
-  const [product, setProduct] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
+  const addProductToCart = useAddToCart()
   const [selectedImage, setSelectedImage] = useState(0)
+  const [lightboxOpen, setLightboxOpen] = useState(false)
+
+  // The list may already hold this product; render it straight away and let
+  // the detail query refresh it in the background.
+  const listProduct = useAppSelector((state) => selectProductById(state, productId))
+  const { data, isLoading, error: queryError } = useGetProductQuery(productId)
+  const product = data ?? listProduct
+  const loading = isLoading && !product
+  const error = queryError?.error ?? null
+  const localReviews = useAppSelector((state) => selectLocalReviews(state, productId))
+
+  // Every view goes to the front of the recently viewed history, once per
+  // product: the list copy, the detail response and background refetches
+  // are the same view, so the effect is keyed on the id and reads the latest
+  // product from a ref
+  const latestProduct = useRef(product)
+  useEffect(() => {
+    latestProduct.current = product
+  })
 
+  const viewedId = product?.id
   useEffect(() => {
-    // AbortController to handle cleanup and prevent memory leaks
-    const abortController = new AbortController()
-    
-    const fetchProduct = async () => {
-      setLoading(true)
-      try {
-        const response = await fetch(`https://dummyjson.com/products/${productId}`, {
-          signal: abortController.signal
-        })
-        if (!response.ok) {
-          throw new Error("Product not found")
-        }
-        const data = await response.json()
-        
-        // Only update state if component is still mounted
-        if (!abortController.signal.aborted) {
-          setProduct(data)
-        }
-      } catch (err) {
-        // Only update error state if it's not an abort error and component is still mounted
-        if (!abortController.signal.aborted) {
-          setError(err instanceof Error ? err.message : "An error occurred")
-        }
-      } finally {
-        // Only update loading state if component is still mounted
-        if (!abortController.signal.aborted) {
-          setLoading(false)
-        }
-      }
-    }
-
-    fetchProduct()
-
-    // Cleanup function to abort fetch request when component unmounts or productId changes
-    return () => {
-      abortController.abort()
-    }
-  }, [productId])
+    if (viewedId !== undefined) dispatch(recordProductView(latestProduct.current))
+  }, [dispatch, viewedId])
 
   if (loading) {
     return <LoadingSpinner />
   }
 
-  if (error || !product) {
+  if (!product) {
     return (
       <div className="text-center py-12">
         <div className="bg-destructive/10 border border-destructive/20 rounded-lg p-6 max-w-md mx-auto">
@@ -87,24 +80,12 @@ export function ProductDetail({ productId }) {
     )
   }
 
-  const handleAddToCart = () => {
-    dispatch(
-      addToCart({
-        id: product.id,
-        title: product.title,
-        price: product.price,
-        image: product.thumbnail,
-      }),
-    )
-    
-    // Show success toast notification
-    toast({
-      title: "Added to cart!",
-      description: `${product.title} has been added to your cart.`,
-    })
-  }
+  const handleAddToCart = () => addProductToCart(product)
+  const outOfStock = product.stock <= 0
 
   const discountedPrice = product.price * (1 - product.discountPercentage / 100)
+  const rating = combinedRating(product, localReviews)
+  const galleryImages = product.images?.length ? product.images : [product.thumbnail]
 
   return (
     <div className="max-w-6xl mx-auto">
@@ -119,10 +100,13 @@ export function ProductDetail({ productId }) {
         {/* Product Images */}
         <div className="space-y-4">
           <div className="aspect-square relative overflow-hidden rounded-lg bg-muted">
-            <LazyImage
-              src={product.images[selectedImage] || product.thumbnail}
+            <HoverZoomImage
+              src={galleryImages[selectedImage] || product.thumbnail}
               alt={product.title}
-              className="w-full h-full object-cover"
+              sizes="(min-width: 1152px) 576px, (min-width: 768px) 50vw, 100vw"
+              previewSrc={product.thumbnail}
+              priority
+              onOpen={() => setLightboxOpen(true)}
             />
             {product.discountPercentage > 0 && (
               <Badge className="absolute top-4 left-4 bg-destructive">-{Math.round(product.discountPercentage)}%</Badge>
@@ -130,9 +114,9 @@ export function ProductDetail({ productId }) {
           </div>
 
           {/* Image Thumbnails */}
-          {product.images.length > 1 && (
+          {galleryImages.length > 1 && (
             <div className="flex gap-2 overflow-x-auto">
-              {product.images.map((image, index) => (
+              {galleryImages.map((image, index) => (
                 <button
                   key={index}
                   onClick={() => setSelectedImage(index)}
@@ -143,12 +127,22 @@ export function ProductDetail({ productId }) {
                   <LazyImage
                     src={image || "/placeholder.svg"}
                     alt={`${product.title} ${index + 1}`}
+                    sizes="80px"
                     className="w-full h-full object-cover"
                   />
                 </button>
               ))}
             </div>
           )}
+
+          <ImageLightbox
+            images={galleryImages}
+            title={product.title}
+            open={lightboxOpen}
+            onOpenChange={setLightboxOpen}
+            index={selectedImage}
+            onIndexChange={setSelectedImage}
+          />
         </div>
 
         {/* Product Info */}
@@ -161,10 +155,13 @@ export function ProductDetail({ productId }) {
           <div className="flex items-center gap-2">
             <div className="flex items-center gap-1">
               <Star className="w-5 h-5 fill-yellow-400 text-yellow-400" />
-              <span className="font-medium">{product.rating}</span>
+              <span className="font-medium">{rating.average}</span>
+              <a href="#reviews" className="text-muted-foreground hover:text-accent">
+                ({rating.count} {rating.count === 1 ? "review" : "reviews"})
+              </a>
             </div>
             <span className="text-muted-foreground">•</span>
-            <span className="text-muted-foreground">{product.stock} in stock</span>
+            <StockStatus stock={product.stock} className="text-base" />
           </div>
 
           <div className="flex items-center gap-3">
@@ -176,27 +173,25 @@ export function ProductDetail({ productId }) {
 
           <Separator />
 
-          <div>
-            <h3 className="font-semibold mb-2">Description</h3>
-            <p className="text-muted-foreground leading-relaxed">{product.description}</p>
-          </div>
-
           <div className="flex gap-3">
-            <Button onClick={handleAddToCart} className="flex-1" size="lg">
+            <Button onClick={handleAddToCart} disabled={outOfStock} className="flex-1" size="lg">
               <ShoppingCart className="w-5 h-5 mr-2" />
-              Add to Cart
-            </Button>
-            <Button variant="outline" size="lg">
-              <Heart className="w-5 h-5" />
+              {outOfStock ? "Out of stock" : "Add to Cart"}
             </Button>
+            <WishlistButton product={product} size="lg" />
           </div>
+          {product.minimumOrderQuantity > 1 && !outOfStock && (
+            <p className="text-sm text-muted-foreground">Minimum order: {product.minimumOrderQuantity}</p>
+          )}
 
           <Card>
             <CardContent className="p-4">
               <div className="grid grid-cols-2 gap-4 text-sm">
                 <div>
                   <span className="text-muted-foreground">Category:</span>
-                  <p className="font-medium capitalize">{product.category}</p>
+                  <Link to={`/category/${product.category}`} className="block font-medium capitalize hover:text-accent">
+                    {product.category.replace(/-/g, " ")}
+                  </Link>
                 </div>
                 <div>
                   <span className="text-muted-foreground">Brand:</span>
@@ -207,6 +202,11 @@ export function ProductDetail({ productId }) {
           </Card>
         </div>
       </div>
+
+      <ProductInfoTabs key={`info-${product.id}`} product={product} className="mt-12" />
+      <ProductReviews key={product.id} product={product} className="mt-12" />
+      <FrequentlyBoughtTogether product={product} className="mt-12" />
+      <SimilarProducts product={product} className="mt-12" />
     </div>
   )
 }
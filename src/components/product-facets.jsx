@@ -0,0 +1,267 @@
+/**
+ * ProductFacets Component - ShoppyGlobe E-commerce
+ *
+ * Facet panel for narrowing the product grid:
+ * - Price range slider
+ * - Minimum rating buttons
+ * - Brand multi-select ("Show all" kept expanded on Back)
+ * - In-stock-only and on-sale toggles
+ * - Live result counts for every option
+ * - Removable chips for the active facets (ActiveFacetChips)
+ */
+
+"use client"
+
+import { useEffect, useMemo, useState } from "react"
+import { Star, X } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Label } from "@/components/ui/label"
+import { Separator } from "@/components/ui/separator"
+import { Slider } from "@/components/ui/slider"
+import { Switch } from "@/components/ui/switch"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
+import {
+  RATING_OPTIONS,
+  clearFacets,
+  selectFacetCounts,
+  setInStockOnly,
+  setMinRating,
+  setOnSaleOnly,
+  setPriceRange,
+  toggleBrand,
+} from "@/lib/features/products/products-slice"
+import { cn } from "@/lib/utils"
+import { useHistoryState } from "@/hooks/use-history-state"
+
+// Brands shown before "Show all"
+const VISIBLE_BRANDS = 8
+
+/**
+ * Format a price for facet labels
+ *
+ * @param {number} value - Price
+ * @returns {string} Whole-dollar label
+ */
+const formatPrice = (value) => `$${Math.round(value)}`
+
+/**
+ * ProductFacets Component
+ *
+ * @returns {JSX.Element} Facet controls
+ */
+export function ProductFacets() {
+  const dispatch = useAppDispatch()
+  const facets = useAppSelector((state) => state.products.facets)
+  const counts = useAppSelector(selectFacetCounts)
+  const [showAllBrands, setShowAllBrands] = useHistoryState("facets-all-brands", false)
+
+  // Price bounds keep their identity while their values do not change, so the
+  // draft below is not reset whenever another facet recomputes the counts
+  const [lowBound, highBound] = counts.priceBounds ?? []
+  const bounds = useMemo(() => (lowBound === undefined ? null : [lowBound, highBound]), [lowBound, highBound])
+
+  // Slider position while dragging; committed to the store on release
+  const [draftRange, setDraftRange] = useState(facets.priceRange ?? bounds)
+
+  useEffect(() => {
+    setDraftRange(facets.priceRange ?? bounds)
+  }, [facets.priceRange, bounds])
+
+  /**
+   * Commit Price Range
+   *
+   * A range covering the whole catalog is stored as "no limit".
+   *
+   * @param {number[]} range - [min, max] from the slider
+   */
+  const handlePriceCommit = (range) => {
+    const coversAll = bounds && range[0] <= bounds[0] && range[1] >= bounds[1]
+    dispatch(setPriceRange(coversAll ? null : range))
+  }
+
+  const priceMatches = draftRange
+    ? counts.prices.filter((price) => price >= draftRange[0] && price <= draftRange[1]).length
+    : counts.prices.length
+
+  const brands = showAllBrands ? counts.brands : counts.brands.slice(0, VISIBLE_BRANDS)
+
+  return (
+    <div className="space-y-6">
+      {/* Price Range */}
+      <section aria-labelledby="facet-price">
+        <h3 id="facet-price" className="font-semibold mb-3">
+          Price
+        </h3>
+        {bounds && draftRange ? (
+          <>
+            <Slider
+              min={bounds[0]}
+              max={bounds[1]}
+              step={1}
+              minStepsBetweenThumbs={1}
+              value={draftRange}
+              onValueChange={setDraftRange}
+              onValueCommit={handlePriceCommit}
+              thumbLabels={["Minimum price", "Maximum price"]}
+            />
+            <div className="flex justify-between text-sm text-muted-foreground mt-2">
+              <span>{formatPrice(draftRange[0])}</span>
+              <span>{formatPrice(draftRange[1])}</span>
+            </div>
+            <p className="text-xs text-muted-foreground mt-1">{priceMatches} products in range</p>
+          </>
+        ) : (
+          <p className="text-sm text-muted-foreground">No prices to filter</p>
+        )}
+      </section>
+
+      <Separator />
+
+      {/* Minimum Rating */}
+      <section aria-labelledby="facet-rating">
+        <h3 id="facet-rating" className="font-semibold mb-3">
+          Rating
+        </h3>
+        <div className="flex flex-col gap-1">
+          {RATING_OPTIONS.map((rating) => {
+            const active = facets.minRating === rating
+            return (
+              <button
+                key={rating}
+                type="button"
+                aria-pressed={active}
+                onClick={() => dispatch(setMinRating(active ? 0 : rating))}
+                disabled={!active && counts.ratings[rating] === 0}
+                className={cn(
+                  "flex items-center justify-between rounded-md px-2 py-1.5 text-sm transition-colors disabled:opacity-50",
+                  active ? "bg-primary text-primary-foreground" : "hover:bg-muted",
+                )}
+              >
+                <span className="flex items-center gap-1">
+                  <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
+                  {rating} &amp; up
+                </span>
+                <span className={active ? "" : "text-muted-foreground"}>{counts.ratings[rating]}</span>
+              </button>
+            )
+          })}
+        </div>
+      </section>
+
+      <Separator />
+
+      {/* Brands */}
+      <section aria-labelledby="facet-brand">
+        <h3 id="facet-brand" className="font-semibold mb-3">
+          Brand
+        </h3>
+        {counts.brands.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No brands to filter</p>
+        ) : (
+          <ul className="space-y-2">
+            {brands.map(({ brand, count }) => {
+              const id = `facet-brand-${brand.replace(/\W+/g, "-")}`
+              const checked = facets.brands.includes(brand)
+              return (
+                <li key={brand} className="flex items-center gap-2">
+                  <Checkbox
+                    id={id}
+                    checked={checked}
+                    disabled={!checked && count === 0}
+                    onCheckedChange={() => dispatch(toggleBrand(brand))}
+                  />
+                  <Label htmlFor={id} className="flex-1 font-normal cursor-pointer">
+                    {brand}
+                  </Label>
+                  <span className="text-sm text-muted-foreground">{count}</span>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+        {counts.brands.length > VISIBLE_BRANDS && (
+          <Button variant="link" size="sm" className="px-0 mt-1" onClick={() => setShowAllBrands(!showAllBrands)}>
+            {showAllBrands ? "Show fewer" : `Show all ${counts.brands.length} brands`}
+          </Button>
+        )}
+      </section>
+
+      <Separator />
+
+      {/* Availability */}
+      <section aria-label="Availability" className="space-y-3">
+        <div className="flex items-center gap-2">
+          <Switch
+            id="facet-in-stock"
+            checked={facets.inStockOnly}
+            onCheckedChange={(checked) => dispatch(setInStockOnly(checked))}
+          />
+          <Label htmlFor="facet-in-stock" className="flex-1 font-normal cursor-pointer">
+            In stock only
+          </Label>
+          <span className="text-sm text-muted-foreground">{counts.inStock}</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <Switch
+            id="facet-on-sale"
+            checked={facets.onSaleOnly}
+            onCheckedChange={(checked) => dispatch(setOnSaleOnly(checked))}
+          />
+          <Label htmlFor="facet-on-sale" className="flex-1 font-normal cursor-pointer">
+            On sale
+          </Label>
+          <span className="text-sm text-muted-foreground">{counts.onSale}</span>
+        </div>
+      </section>
+    </div>
+  )
+}
+
+/**
+ * ActiveFacetChips Component
+ *
+ * One removable chip per active facet, plus "Clear all".
+ *
+ * @returns {JSX.Element|null} Chip row, or null when no facet is active
+ */
+export function ActiveFacetChips() {
+  const dispatch = useAppDispatch()
+  const { priceRange, minRating, brands, inStockOnly, onSaleOnly } = useAppSelector((state) => state.products.facets)
+
+  const chips = [
+    priceRange && {
+      key: "price",
+      label: `${formatPrice(priceRange[0])} - ${formatPrice(priceRange[1])}`,
+      remove: () => dispatch(setPriceRange(null)),
+    },
+    minRating > 0 && { key: "rating", label: `${minRating}★ & up`, remove: () => dispatch(setMinRating(0)) },
+    ...brands.map((brand) => ({ key: `brand-${brand}`, label: brand, remove: () => dispatch(toggleBrand(brand)) })),
+    inStockOnly && { key: "stock", label: "In stock", remove: () => dispatch(setInStockOnly(false)) },
+    onSaleOnly && { key: "sale", label: "On sale", remove: () => dispatch(setOnSaleOnly(false)) },
+  ].filter(Boolean)
+
+  if (chips.length === 0) return null
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      {chips.map((chip) => (
+        <button
+          key={chip.key}
+          type="button"
+          onClick={chip.remove}
+          aria-label={`Remove filter: ${chip.label}`}
+          className="inline-flex items-center gap-1 rounded-full border bg-muted px-3 py-1 text-sm hover:bg-muted/70"
+        >
+          {chip.label}
+          <X className="w-3 h-3" />
+        </button>
+      ))}
+      <Button variant="link" size="sm" onClick={() => dispatch(clearFacets())}>
+        Clear all
+      </Button>
+    </div>
+  )
+}
+
+// Updated: feat: Add ProductFacets panel with live counts and filter chips
@@ -1,55 +1,79 @@
 /**
  * ProductFilters Component - ShoppyGlobe E-commerce
- * 
+ *
  * This component provides filtering and sorting functionality for the product list:
- * - Category filtering to show products from specific categories
- * - Sorting options (by name, price, rating)
- * - Mobile-responsive design with collapsible filters
+ * - Category links to shareable /category/:slug landing pages
+ * - Sorting options (by relevance while searching, name, price, rating)
+ * - Mobile-responsive design with collapsible filters (kept open on Back)
  * - Clear filters functionality to reset all selections
  * - Note: Search functionality is handled by the header component
  */
 
 "use client"
 
+import { Link } from "react-router-dom"
 import { Filter } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { Card, CardContent } from "@/components/ui/card"
 import { useAppSelector, useAppDispatch } from "@/lib/hooks"
-import { setSelectedCategory, setSortBy } from "@/lib/features/products/products-slice"
-import { useState } from "react"
+import { clearFacets, selectSortBy, setSelectedCategory, setSortBy } from "@/lib/features/products/products-slice"
+import { useGetCategoriesQuery } from "@/lib/features/products/products-api"
+import { buildFilterSearch } from "@/hooks/use-url-filters"
+import { cn } from "@/lib/utils"
+import { useHistoryState } from "@/hooks/use-history-state"
 
 /**
  * ProductFilters Component
- * 
- * Renders filter and sort controls for the product list.
- * Integrates with Redux store to manage filter state.
- * 
+ *
+ * Renders category links and sort controls for the product list.
+ * Integrates with Redux store to manage sort state.
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.activeCategory] - Slug of the category page being shown, if any
  * @returns {JSX.Element} Filter controls component
  */
-export function ProductFilters() {
+export function ProductFilters({ activeCategory }) {
   // Redux hooks for state management
   const dispatch = useAppDispatch()
-  const { selectedCategory, sortBy, categories } = useAppSelector((state) => state.products)
-  
-  // Local state for mobile filter visibility
-  const [showFilters, setShowFilters] = useState(false)
+  const { sortBy: chosenSortBy, searchQuery, categories } = useAppSelector((state) => state.products)
+  const sortBy = useAppSelector(selectSortBy)
+
+  // Load the category list (mirrored into the products slice)
+  useGetCategoriesQuery()
+
+  // Mobile filter visibility, restored when coming back to this page
+  const [showFilters, setShowFilters] = useHistoryState("filters-open", false)
 
   /**
    * Handle Clear All Filters
-   * 
-   * Resets category and sort filters to their default values.
+   *
+   * Resets category, facet and sort filters to their default values.
    * Search is handled separately in the header component.
    */
   const handleClearFilters = () => {
-    dispatch(setSelectedCategory("all")) // Reset to show all categories
-    dispatch(setSortBy("name")) // Reset to sort by name
+    dispatch(setSelectedCategory("")) // Reset to show all categories
+    dispatch(setSortBy("")) // Reset to automatic sorting (relevance while searching, otherwise name)
+    dispatch(clearFacets()) // Reset price, rating, brand and availability facets
   }
 
+  /**
+   * Category Link Classes
+   *
+   * @param {boolean} active - Whether the link points at the current page
+   */
+  const categoryLinkClass = (active) =>
+    cn(
+      "whitespace-nowrap rounded-full border px-3 py-1 text-sm transition-colors",
+      active
+        ? "bg-primary text-primary-foreground border-primary"
+        : "bg-background text-foreground hover:bg-muted",
+    )
+
   return (
     <Card className="mb-6">
       <CardContent className="p-4">
-        <div className="flex flex-col lg:flex-row gap-4">
+        <div className="flex flex-col gap-4">
           {/* Mobile Filter Toggle */}
           <div className="lg:hidden">
             <Button variant="outline" onClick={() => setShowFilters(!showFilters)} className="w-full">
@@ -59,39 +83,53 @@ export function ProductFilters() {
           </div>
 
           {/* Filters */}
-          <div className={`flex flex-col sm:flex-row gap-4 lg:flex ${showFilters ? "block" : "hidden lg:flex"} w-full`}>
-            {/* Category Filter */}
-            <Select value={selectedCategory} onValueChange={(value) => dispatch(setSelectedCategory(value))}>
-              <SelectTrigger className="w-full sm:w-48">
-                <SelectValue placeholder="All Categories" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="all">All Categories</SelectItem> {/* Updated value to "all" */}
+          <div className={`flex flex-col lg:flex-row gap-4 lg:flex ${showFilters ? "block" : "hidden lg:flex"} w-full`}>
+            {/* Category Links */}
+            <nav aria-label="Categories" className="flex-1 min-w-0">
+              <ul className="flex gap-2 overflow-x-auto pb-1">
+                <li>
+                  <Link
+                    to={{ pathname: "/", search: buildFilterSearch({ q: searchQuery, sort: chosenSortBy }) }}
+                    className={categoryLinkClass(!activeCategory)}
+                    aria-current={!activeCategory ? "page" : undefined}
+                  >
+                    All Categories
+                  </Link>
+                </li>
                 {categories.map((category) => (
-                  <SelectItem key={category} value={category}>
-                    {category.charAt(0).toUpperCase() + category.slice(1)}
-                  </SelectItem>
+                  <li key={category.slug}>
+                    <Link
+                      to={`/category/${category.slug}`}
+                      className={categoryLinkClass(activeCategory === category.slug)}
+                      aria-current={activeCategory === category.slug ? "page" : undefined}
+                    >
+                      {category.name}
+                    </Link>
+                  </li>
                 ))}
-              </SelectContent>
-            </Select>
+              </ul>
+            </nav>
 
-            {/* Sort By */}
+            <div className="flex flex-col sm:flex-row gap-4 flex-shrink-0">
+              {/* Sort By */}
               <Select value={sortBy} onValueChange={(value) => dispatch(setSortBy(value))}>
-              <SelectTrigger className="w-full sm:w-48">
-                <SelectValue placeholder="Sort By" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="name">Name</SelectItem>
-                <SelectItem value="price-asc">Price: Low to High</SelectItem>
-                <SelectItem value="price-desc">Price: High to Low</SelectItem>
-                <SelectItem value="rating">Rating</SelectItem>
-              </SelectContent>
-            </Select>
+                <SelectTrigger className="w-full sm:w-48">
+                  <SelectValue placeholder="Sort By" />
+                </SelectTrigger>
+                <SelectContent>
+                  {searchQuery.trim() && <SelectItem value="relevance">Relevance</SelectItem>}
+                  <SelectItem value="name">Name</SelectItem>
+                  <SelectItem value="price-asc">Price: Low to High</SelectItem>
+                  <SelectItem value="price-desc">Price: High to Low</SelectItem>
+                  <SelectItem value="rating">Rating</SelectItem>
+                </SelectContent>
+              </Select>
 
-            {/* Clear Filters */}
-            <Button variant="outline" onClick={handleClearFilters}>
-              Clear
-            </Button>
+              {/* Clear Filters */}
+              <Button variant="outline" onClick={handleClearFilters}>
+                Clear
+              </Button>
+            </div>
           </div>
         </div>
       </CardContent>
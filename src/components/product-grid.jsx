@@ -0,0 +1,81 @@
+/**
+ * ProductGrid Component - ShoppyGlobe E-commerce
+ *
+ * Virtualized product grid for large catalogs:
+ * - Products are laid out in rows; only rows near the viewport are rendered
+ * - Columns follow the same responsive breakpoints as the CSS grid
+ * - Each row's height is measured from its cards and re-measured on resize
+ * - Scrolls with the page, so it sits in normal page flow
+ * - Reports the first visible product, so Back can return to it
+ * - A focused card stays rendered while scrolled away, and the rows just
+ *   outside the viewport are ready for the next Tab
+ */
+
+"use client"
+
+import { forwardRef, useCallback, useMemo, useRef } from "react"
+import { useGridColumns } from "@/hooks/use-grid-columns"
+import { useProductScrollAnchor } from "@/hooks/use-scroll-restoration"
+import { ProductItem } from "./product-item"
+import { VirtualList } from "./virtual-list"
+
+// Row height assumed for rows that have not been rendered yet
+const ESTIMATED_ROW_HEIGHT = 420
+
+/**
+ * ProductGrid Component
+ *
+ * @param {Object} props - Component props
+ * @param {Product[]} props.products - Products to show, in order
+ * @param {string} [props.highlight] - Search query whose matches are marked in titles
+ * @param {Function} [props.onQuickView] - Opens the quick view for a product id
+ * @param {number} [props.overscan=2] - Rows rendered above and below the viewport
+ * @param {React.Ref} ref - Receives getScrollAnchor() and scrollToAnchor() for scroll restoration
+ * @returns {JSX.Element} Virtualized product grid
+ */
+export const ProductGrid = forwardRef(function ProductGrid({ products, highlight, onQuickView, overscan = 2 }, ref) {
+  const columns = useGridColumns()
+  const listRef = useRef(null)
+
+  const rows = useMemo(() => {
+    const chunks = []
+    for (let index = 0; index < products.length; index += columns) {
+      chunks.push(products.slice(index, index + columns))
+    }
+    return chunks
+  }, [products, columns])
+
+  // A row is known by its first product; measured heights only hold for one column count
+  const getRowKey = useCallback((row) => `${columns}:${row[0].id}`, [columns])
+
+  useProductScrollAnchor(ref, listRef, products, columns)
+
+  return (
+    <VirtualList
+      ref={listRef}
+      windowScroll
+      items={rows}
+      itemHeight={ESTIMATED_ROW_HEIGHT}
+      getItemKey={getRowKey}
+      overscan={overscan}
+      renderItem={(row, rowIndex) => (
+        <div
+          className="grid gap-4 sm:gap-6 pb-4 sm:pb-6"
+          style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}
+        >
+          {row.map((product) => (
+            <ProductItem
+              key={product.id}
+              product={product}
+              highlight={highlight}
+              eager={rowIndex === 0}
+              onQuickView={onQuickView}
+            />
+          ))}
+        </div>
+      )}
+    />
+  )
+})
+
+// Updated: feat: Add virtualized ProductGrid component
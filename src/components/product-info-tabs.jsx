@@ -0,0 +1,105 @@
+/**
+ * ProductInfoTabs Component - ShoppyGlobe E-commerce
+ *
+ * Tabbed product information for the detail page:
+ * - Description
+ * - Specifications (SKU, weight, dimensions, warranty, availability, tags...)
+ * - Shipping & Returns
+ * - Missing fields are left out, and tabs with nothing to show are hidden
+ */
+
+"use client"
+
+import { Badge } from "@/components/ui/badge"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { productSpecifications, shippingAndReturns } from "@/lib/features/products/product-specs"
+
+/**
+ * SpecList Component
+ *
+ * @param {Object} props
+ * @param {SpecRow[]} props.rows - Rows to show
+ * @param {React.ReactNode} [props.children] - Extra rows after the list
+ * @returns {JSX.Element} Label/value list
+ */
+function SpecList({ rows, children }) {
+  return (
+    <dl className="divide-y text-sm">
+      {rows.map(({ label, value }) => (
+        <div key={label} className="grid grid-cols-1 sm:grid-cols-[12rem_1fr] gap-1 sm:gap-4 py-3">
+          <dt className="text-muted-foreground">{label}</dt>
+          <dd className="font-medium text-foreground">{value}</dd>
+        </div>
+      ))}
+      {children}
+    </dl>
+  )
+}
+
+/**
+ * ProductInfoTabs Component
+ *
+ * @param {Object} props - Component props
+ * @param {Product} props.product - Product to describe
+ * @param {string} [props.className] - Classes for the tabs
+ * @returns {JSX.Element|null} Tabbed product information
+ */
+export function ProductInfoTabs({ product, className }) {
+  const specifications = productSpecifications(product)
+  const shipping = shippingAndReturns(product)
+  const tags = (product.tags ?? []).filter(Boolean)
+
+  const tabs = [
+    product.description && {
+      value: "description",
+      label: "Description",
+      content: <p className="text-muted-foreground leading-relaxed">{product.description}</p>,
+    },
+    (specifications.length > 0 || tags.length > 0) && {
+      value: "specifications",
+      label: "Specifications",
+      content: (
+        <SpecList rows={specifications}>
+          {tags.length > 0 && (
+            <div className="grid grid-cols-1 sm:grid-cols-[12rem_1fr] gap-1 sm:gap-4 py-3">
+              <dt className="text-muted-foreground">Tags</dt>
+              <dd className="flex flex-wrap gap-2">
+                {tags.map((tag) => (
+                  <Badge key={tag} variant="secondary">
+                    {tag}
+                  </Badge>
+                ))}
+              </dd>
+            </div>
+          )}
+        </SpecList>
+      ),
+    },
+    shipping.length > 0 && {
+      value: "shipping",
+      label: "Shipping & Returns",
+      content: <SpecList rows={shipping} />,
+    },
+  ].filter(Boolean)
+
+  if (tabs.length === 0) return null
+
+  return (
+    <Tabs defaultValue={tabs[0].value} className={className}>
+      <TabsList className="w-full justify-start overflow-x-auto">
+        {tabs.map(({ value, label }) => (
+          <TabsTrigger key={value} value={value}>
+            {label}
+          </TabsTrigger>
+        ))}
+      </TabsList>
+      {tabs.map(({ value, content }) => (
+        <TabsContent key={value} value={value} className="pt-4">
+          {content}
+        </TabsContent>
+      ))}
+    </Tabs>
+  )
+}
+
+// Updated: feat: Add ProductInfoTabs with description, specifications and shipping
@@ -3,29 +3,39 @@
  * 
  * This component displays a single product card with:
  * - Product image with lazy loading
- * - Product title, rating, and pricing
+ * - Product title with search matches highlighted, rating, and pricing
  * - Discount badge for discounted items
- * - Add to cart functionality
+ * - Wishlist heart toggle
+ * - Quick view button, when the list provides an opener
+ * - Add to cart functionality, disabled when out of stock
  * - Navigation to product detail page
  * - Hover effects and responsive design
  */
 
 "use client"
 
+import { memo } from "react"
 import { Link } from "react-router-dom"
-import { Star, ShoppingCart } from "lucide-react"
+import { Eye, Star, ShoppingCart } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { Card, CardContent, CardFooter } from "@/components/ui/card"
 import { Badge } from "@/components/ui/badge"
-import { useAppDispatch } from "@/lib/hooks"
-import { addToCart } from "@/lib/features/cart/cart-slice"
 import { LazyImage } from "./lazy-image"
-import { useToast } from "@/hooks/use-toast"
+import { HighlightedText } from "./highlighted-text"
+import { WishlistButton } from "./wishlist-button"
+import { useAddToCart } from "@/hooks/use-add-to-cart"
+import { gridImageSizes } from "@/hooks/use-grid-columns"
+
+// Card images take one column of the product grid
+const PRODUCT_IMAGE_SIZES = gridImageSizes()
 
 /**
  * ProductItem Props
  *
  * @param {Object} product - Product data to display
+ * @param {string} [highlight] - Search query whose matches are marked in the title
+ * @param {boolean} [eager] - Load the image right away (cards above the fold)
+ * @param {Function} [onQuickView] - Opens the quick view for a product id; no button without it
  */
 
 /**
@@ -35,37 +45,24 @@ import { useToast } from "@/hooks/use-toast"
  * 
  * @param props - Component props
  * @param props.product - Product data to display
+ * @param props.highlight - Search query whose matches are marked in the title
+ * @param props.eager - Load the image right away (cards above the fold)
+ * @param props.onQuickView - Opens the quick view for a product id
  * @returns {JSX.Element} Product card component
  */
-export function ProductItem({ product }) {
-  // Redux dispatch hook for cart actions
-  const dispatch = useAppDispatch()
-  // Toast hook for user feedback
-  const { toast } = useToast()
+// Memoized: cards only re-render when their own props change, not on every
+// URL or filter change of the list around them
+export const ProductItem = memo(function ProductItem({ product, highlight, eager = false, onQuickView }) {
+  // Adds the product to the cart and confirms with a toast
+  const addProductToCart = useAddToCart()
 
   /**
    * Handle Add to Cart
-   * 
-   * Dispatches addToCart action with product details.
-   * Shows success toast notification to user.
-   * Extracts necessary fields for cart item.
+   *
+   * Adds this product to the cart; the shared hook shows the toast.
    */
-  const handleAddToCart = () => {
-    dispatch(
-      addToCart({
-        id: product.id,
-        title: product.title,
-        price: product.price,
-        image: product.thumbnail,
-      }),
-    )
-    
-    // Show success toast notification
-    toast({
-      title: "Added to cart!",
-      description: `${product.title} has been added to your cart.`,
-    })
-  }
+  const handleAddToCart = () => addProductToCart(product)
+  const outOfStock = product.stock <= 0
 
   // Calculate discounted price
   const discountedPrice = product.price * (1 - product.discountPercentage / 100)
@@ -74,30 +71,56 @@ export function ProductItem({ product }) {
     <Card className="group hover:shadow-lg transition-shadow duration-200">
       <CardContent className="p-4">
         {/* Product Image Section */}
-        <Link to={`/product/${product.id}`}>
-          <div className="aspect-square relative mb-4 overflow-hidden rounded-lg bg-muted">
-            {/* Lazy-loaded product image */}
-            <LazyImage
-              src={product.thumbnail || "/placeholder.svg"}
-              alt={product.title}
-              className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-200"
-            />
+        <div className="relative mb-4">
+          <Link to={`/product/${product.id}`}>
+            <div className="aspect-square relative overflow-hidden rounded-lg bg-muted">
+              {/* Lazy-loaded product image */}
+              <LazyImage
+                src={product.thumbnail || "/placeholder.svg"}
+                alt={product.title}
+                sizes={PRODUCT_IMAGE_SIZES}
+                eager={eager}
+                className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-200"
+              />
             
-            {/* Discount Badge */}
-            {product.discountPercentage > 0 && (
-              <Badge className="absolute top-2 left-2 bg-destructive">
-                -{Math.round(product.discountPercentage)}%
-              </Badge>
-            )}
-          </div>
-        </Link>
+              {/* Discount Badge */}
+              {product.discountPercentage > 0 && (
+                <Badge className="absolute top-2 left-2 bg-destructive">
+                  -{Math.round(product.discountPercentage)}%
+                </Badge>
+              )}
+            </div>
+          </Link>
+
+          {/* Wishlist Toggle - outside the link so it does not open the product */}
+          <WishlistButton
+            product={product}
+            variant="secondary"
+            className="absolute top-2 right-2 h-8 w-8 rounded-full bg-background/80 hover:bg-background shadow-sm"
+            iconClassName="w-4 h-4"
+          />
+
+          {/* Quick View - shown on hover and focus where there is a mouse */}
+          {onQuickView && (
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => onQuickView(product.id)}
+              className="absolute bottom-2 left-1/2 -translate-x-1/2 bg-background/90 hover:bg-background shadow-sm transition-opacity sm:opacity-0 sm:group-hover:opacity-100 sm:focus-visible:opacity-100"
+              aria-label={`Quick view ${product.title}`}
+            >
+              <Eye className="w-4 h-4 mr-2" />
+              Quick view
+            </Button>
+          )}
+        </div>
 
         {/* Product Details Section */}
         <div className="space-y-2">
           {/* Product Title */}
           <Link to={`/product/${product.id}`}>
             <h3 className="font-semibold text-card-foreground line-clamp-2 hover:text-accent transition-colors">
-              {product.title}
+              <HighlightedText text={product.title} query={highlight} />
             </h3>
           </Link>
 
@@ -121,13 +144,13 @@ export function ProductItem({ product }) {
 
       {/* Add to Cart Button */}
       <CardFooter className="p-4 pt-0">
-        <Button onClick={handleAddToCart} className="w-full" size="sm">
+        <Button onClick={handleAddToCart} disabled={outOfStock} className="w-full" size="sm">
           <ShoppingCart className="w-4 h-4 mr-2" />
-          Add to Cart
+          {outOfStock ? "Out of stock" : "Add to Cart"}
         </Button>
       </CardFooter>
     </Card>
   )
-}
+})
 
 // Updated: feat: Add ProductItem component with add to cart button
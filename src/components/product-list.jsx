@@ -1,36 +1,107 @@
 /**
  * ProductList Component - ShoppyGlobe E-commerce
- * 
+ *
  * This component displays a list of products with:
  * - Product filtering and search functionality
+ * - Facet panel (sidebar on desktop, drawer on mobile) with active filter chips
  * - Loading and error states
- * - Responsive grid layout
- * - Empty state handling
+ * - Virtualized responsive grid, so thousands of products stay smooth
+ * - Grid, compact list and dense table views, saved and shown in the URL
+ * - Back from a product returns to the same spot, reloading pages as needed
+ * - Paged loading with infinite scroll and a "Load more" fallback
+ * - Catalog-wide search status with an offline fallback notice
+ * - Empty state handling with "did you mean" suggestions
+ * - Search matches highlighted in product titles
+ * - Quick view dialog for a product, linkable with ?quickview=:id
+ * - Fired merchandising rules in search debug mode
  * - Integration with custom hooks for data management
  */
 
 "use client"
 
+import { useEffect, useRef } from "react"
+import { Loader2, SlidersHorizontal } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import { Sheet, SheetClose, SheetContent, SheetHeader, SheetTitle, SheetTrigger } from "@/components/ui/sheet"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
+import { selectActiveFacetCount, setSearchQuery } from "@/lib/features/products/products-slice"
 import { useProducts } from "@/hooks/use-products"
-import { ProductItem } from "./product-item"
+import { useInfiniteScroll } from "@/hooks/use-infinite-scroll"
+import { useCatalogView } from "@/hooks/use-catalog-view"
+import { useScrollRestoration } from "@/hooks/use-scroll-restoration"
+import { useQuickView } from "@/hooks/use-quick-view"
+import { CatalogViewToggle } from "./catalog-view-toggle"
+import { ProductGrid } from "./product-grid"
+import { ProductRows } from "./product-rows"
+import { ProductTable } from "./product-table"
 import { ProductFilters } from "./product-filters"
-import { LoadingSpinner } from "./loading-spinner"
+import { ProductFacets, ActiveFacetChips } from "./product-facets"
+import { ProductSkeleton } from "./product-skeleton"
+import { ProductQuickView } from "./product-quick-view"
+import { SearchRulesDebug } from "./search-debug"
 
 /**
  * ProductList Component
- * 
+ *
  * Main component that renders the product list with filters and handles
  * different states (loading, error, empty, success).
- * 
+ *
  * @returns {JSX.Element} Product list component with filters and grid layout
  */
 export function ProductList() {
   // Get products data and state from custom hook
-  const { products, loading, error } = useProducts()
+  const {
+    products,
+    allProducts,
+    loading,
+    error,
+    hasMore,
+    loadedCount,
+    loadTotal,
+    loadingMore,
+    pageError,
+    loadMore,
+    searchQuery,
+    highlightQuery,
+    suggestions,
+    selectedCategory,
+    searching,
+    remoteTotal,
+    searchError,
+  } = useProducts()
+  const dispatch = useAppDispatch()
+  const activeFacetCount = useAppSelector(selectActiveFacetCount)
+  const [view, setView] = useCatalogView()
+  const viewRef = useRef(null)
+  // Handed to the product cards, so they need not read the URL themselves
+  const { openQuickView } = useQuickView()
 
-  // Loading State
+  // Back/Forward returns to the product that was at the top of the screen,
+  // after loading as many pages as were loaded when the shopper left
+  const restoring = useScrollRestoration({
+    isReady: (snapshot) => !loading && (loadedCount >= snapshot.loaded || !hasMore || Boolean(pageError)),
+    capture: () => ({ loaded: loadedCount, anchor: viewRef.current?.getScrollAnchor() ?? null }),
+    restore: (snapshot) => Boolean(snapshot.anchor && viewRef.current?.scrollToAnchor(snapshot.anchor)),
+  })
+
+  useEffect(() => {
+    if (restoring && !loading && hasMore && !loadingMore && !pageError && loadedCount < restoring.loaded) {
+      loadMore()
+    }
+  }, [restoring, loading, hasMore, loadingMore, pageError, loadedCount, loadMore])
+
+  // Load the next page when the sentinel below the grid nears the viewport.
+  // Paused after a failed page so it is only retried on request.
+  const sentinelRef = useInfiniteScroll({
+    onLoadMore: loadMore,
+    enabled: hasMore && !loadingMore && !pageError,
+    watch: loadedCount,
+  })
+
+  // Loading State - placeholder cards until the first page arrives
   if (loading) {
-    return <LoadingSpinner />
+    return <ProductSkeleton count={8} />
   }
 
   // Error State
@@ -49,27 +120,139 @@ export function ProductList() {
   return (
     <div>
       {/* Product Filters Component */}
-      <ProductFilters />
-
-      {/* Products Grid or Empty State */}
-      {products.length === 0 ? (
-        // Empty State - No products found
-        <div className="text-center py-12">
-          <div className="bg-muted/50 rounded-lg p-8 max-w-md mx-auto">
-            <h3 className="text-lg font-semibold text-foreground mb-2">No products found</h3>
-            <p className="text-muted-foreground">
-              Try adjusting your search or filters to find what you're looking for.
-            </p>
+      <ProductFilters activeCategory={selectedCategory !== "all" ? selectedCategory : undefined} />
+
+      <div className="lg:grid lg:grid-cols-[16rem_minmax(0,1fr)] lg:gap-6">
+        {/* Facet Panel - sidebar on large screens */}
+        <aside className="hidden lg:block" aria-label="Product filters">
+          <Card className="sticky top-24">
+            <CardContent className="p-4">
+              <ProductFacets />
+            </CardContent>
+          </Card>
+        </aside>
+
+        <div className="min-w-0">
+          {/* Facet Drawer - mobile and tablet */}
+          <div className="lg:hidden mb-4">
+            <Sheet>
+              <SheetTrigger asChild>
+                <Button variant="outline" className="w-full">
+                  <SlidersHorizontal className="w-4 h-4 mr-2" />
+                  Refine results{activeFacetCount > 0 ? ` (${activeFacetCount})` : ""}
+                </Button>
+              </SheetTrigger>
+              <SheetContent side="left" className="overflow-y-auto">
+                <SheetHeader className="mb-4">
+                  <SheetTitle>Refine results</SheetTitle>
+                </SheetHeader>
+                <ProductFacets />
+                <SheetClose asChild>
+                  <Button className="w-full mt-6">Show {products.length} results</Button>
+                </SheetClose>
+              </SheetContent>
+            </Sheet>
           </div>
+
+          {/* Active Facets */}
+          <ActiveFacetChips />
+
+          {/* View Switcher */}
+          <div className="flex justify-end mb-4">
+            <CatalogViewToggle view={view} onViewChange={setView} />
+          </div>
+
+          {/* Merchandising rules that fired - search debug mode only */}
+          <SearchRulesDebug query={highlightQuery} />
+
+          {/* Search Status - catalog-wide results, or a note when falling back to loaded products */}
+          {searchQuery && (
+            <div className="flex items-center gap-2 mb-4 text-sm text-muted-foreground" aria-live="polite">
+              {searching ? (
+                <>
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Searching the catalog for "{searchQuery}"...
+                </>
+              ) : remoteTotal !== null ? (
+                <span>
+                  {remoteTotal} {remoteTotal === 1 ? "result" : "results"} for "{searchQuery}"
+                  {products.length < remoteTotal && ` - showing ${products.length}`}
+                </span>
+              ) : (
+                <span>
+                  {searchError ? "Catalog search is unavailable" : "You appear to be offline"} - showing matches from
+                  loaded products only.
+                </span>
+              )}
+            </div>
+          )}
+
+          {/* Products in the chosen view, or Empty State */}
+          {products.length === 0 && !hasMore ? (
+            // Empty State - No products found
+            <div className="text-center py-12">
+              <div className="bg-muted/50 rounded-lg p-8 max-w-md mx-auto">
+                <h3 className="text-lg font-semibold text-foreground mb-2">No products found</h3>
+                <p className="text-muted-foreground">
+                  Try adjusting your search or filters to find what you're looking for.
+                </p>
+                {suggestions.length > 0 && (
+                  <p className="mt-4 text-sm">
+                    Did you mean{" "}
+                    {suggestions.map((suggestion, index) => (
+                      <span key={suggestion}>
+                        {index > 0 && ", "}
+                        <button
+                          type="button"
+                          onClick={() => dispatch(setSearchQuery(suggestion))}
+                          className="font-semibold text-primary underline-offset-4 hover:underline"
+                        >
+                          {suggestion}
+                        </button>
+                      </span>
+                    ))}
+                    ?
+                  </p>
+                )}
+              </div>
+            </div>
+          ) : view === "list" ? (
+            <ProductRows ref={viewRef} products={products} highlight={highlightQuery} />
+          ) : view === "table" ? (
+            <ProductTable ref={viewRef} products={products} highlight={highlightQuery} />
+          ) : (
+            // Products Grid - only the rows near the viewport are rendered
+            <ProductGrid ref={viewRef} products={products} highlight={highlightQuery} onQuickView={openQuickView} />
+          )}
+
+          {/* Next Page - skeletons while loading, then sentinel and fallback button */}
+          {loadingMore && (
+            <div>
+              <ProductSkeleton count={4} />
+            </div>
+          )}
+
+          {hasMore && (
+            <div ref={sentinelRef} className="flex flex-col items-center gap-3 py-8">
+              {pageError && <p className="text-sm text-destructive">{pageError}</p>}
+              {!loadingMore && (
+                <Button variant="outline" onClick={loadMore}>
+                  {pageError ? "Try again" : "Load more"}
+                </Button>
+              )}
+            </div>
+          )}
+
+          {/* Progress */}
+          {loadTotal !== null && (
+            <p className="text-center text-sm text-muted-foreground pb-4">
+              Loaded {loadedCount} of {loadTotal} {remoteTotal !== null ? "matches" : "products"}
+            </p>
+          )}
         </div>
-      ) : (
-        // Products Grid - Responsive layout with improved breakpoints
-        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5 gap-4 sm:gap-6">
-          {products.map((product) => (
-            <ProductItem key={product.id} product={product} />
-          ))}
-        </div>
-      )}
+      </div>
+
+      <ProductQuickView products={allProducts} />
     </div>
   )
 }
@@ -0,0 +1,205 @@
+/**
+ * ProductQuickView Component - ShoppyGlobe E-commerce
+ *
+ * Dialog with a product's essentials, opened from a product card:
+ * - Image gallery, description, rating, price and stock
+ * - Quantity picker and add to cart, without leaving the list
+ * - Deep-linkable: ?quickview=:id opens it for that product
+ * - Uses the product the page already shows; only unknown ids are fetched
+ */
+
+"use client"
+
+import { useState } from "react"
+import { Link } from "react-router-dom"
+import { ArrowRight, Minus, Plus, ShoppingCart, Star } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Dialog, DialogContent, DialogDescription, DialogTitle } from "@/components/ui/dialog"
+import { useAppSelector } from "@/lib/hooks"
+import { quantityLimits } from "@/lib/features/cart/cart-slice"
+import { useGetProductQuery } from "@/lib/features/products/products-api"
+import { selectProductById } from "@/lib/features/products/products-slice"
+import { useAddToCart } from "@/hooks/use-add-to-cart"
+import { useQuickView } from "@/hooks/use-quick-view"
+import { cn } from "@/lib/utils"
+import { LazyImage } from "./lazy-image"
+import { LoadingSpinner } from "./loading-spinner"
+import { StockStatus } from "./stock-status"
+import { WishlistButton } from "./wishlist-button"
+
+/**
+ * QuickViewDetails Component
+ *
+ * @param {Object} props
+ * @param {Product} props.product - Product to show
+ * @param {Function} props.onAdded - Called after the product is added to the cart
+ * @returns {JSX.Element} Gallery and product details
+ */
+function QuickViewDetails({ product, onAdded }) {
+  const addProductToCart = useAddToCart()
+  const { min, max } = quantityLimits(product)
+  const [selectedImage, setSelectedImage] = useState(0)
+  const [quantity, setQuantity] = useState(min)
+
+  const images = product.images?.length ? product.images : [product.thumbnail]
+  const discountedPrice = product.price * (1 - product.discountPercentage / 100)
+  const outOfStock = max < min
+
+  const handleAddToCart = () => {
+    if (addProductToCart(product, quantity)) onAdded()
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {/* Gallery */}
+      <div className="space-y-3">
+        <div className="aspect-square relative overflow-hidden rounded-lg bg-muted">
+          <LazyImage
+            src={images[selectedImage] || product.thumbnail}
+            alt={product.title}
+            sizes="(min-width: 768px) 384px, 90vw"
+            previewSrc={product.thumbnail}
+            eager
+            className="w-full h-full object-cover"
+          />
+          {product.discountPercentage > 0 && (
+            <Badge className="absolute top-3 left-3 bg-destructive">-{Math.round(product.discountPercentage)}%</Badge>
+          )}
+        </div>
+
+        {images.length > 1 && (
+          <div className="flex gap-2 overflow-x-auto">
+            {images.map((image, index) => (
+              <button
+                key={index}
+                type="button"
+                onClick={() => setSelectedImage(index)}
+                className={cn(
+                  "flex-shrink-0 w-16 h-16 rounded-md overflow-hidden border-2 transition-colors",
+                  selectedImage === index ? "border-primary" : "border-muted",
+                )}
+                aria-label={`Show image ${index + 1}`}
+                aria-current={selectedImage === index}
+              >
+                <LazyImage src={image || "/placeholder.svg"} alt="" sizes="64px" className="w-full h-full object-cover" />
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Details */}
+      <div className="space-y-4">
+        <div>
+          <DialogTitle className="text-2xl font-bold text-foreground pr-6">{product.title}</DialogTitle>
+          {product.brand && <p className="text-muted-foreground">{product.brand}</p>}
+        </div>
+
+        <div className="flex items-center gap-2 text-sm">
+          <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
+          <span className="font-medium">{product.rating}</span>
+          <span className="text-muted-foreground">•</span>
+          <StockStatus stock={product.stock} />
+        </div>
+
+        <div className="flex items-center gap-3">
+          <span className="text-2xl font-bold text-foreground">${discountedPrice.toFixed(2)}</span>
+          {product.discountPercentage > 0 && (
+            <span className="text-lg text-muted-foreground line-through">${product.price.toFixed(2)}</span>
+          )}
+        </div>
+
+        <DialogDescription className="text-muted-foreground leading-relaxed line-clamp-5">
+          {product.description}
+        </DialogDescription>
+
+        {/* Quantity and add to cart */}
+        <div className="flex items-center gap-3">
+          <div className="flex items-center border rounded-lg" role="group" aria-label="Quantity">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setQuantity(quantity - 1)}
+              disabled={quantity <= min}
+              className="h-10 w-10 p-0"
+              aria-label="Decrease quantity"
+            >
+              <Minus className="w-3 h-3" />
+            </Button>
+            <span className="px-3 text-sm font-medium min-w-[2rem] text-center" aria-live="polite">
+              {quantity}
+            </span>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setQuantity(quantity + 1)}
+              disabled={outOfStock || quantity >= max}
+              className="h-10 w-10 p-0"
+              aria-label="Increase quantity"
+            >
+              <Plus className="w-3 h-3" />
+            </Button>
+          </div>
+          <Button onClick={handleAddToCart} disabled={outOfStock} className="flex-1">
+            <ShoppingCart className="w-4 h-4 mr-2" />
+            {outOfStock ? "Out of stock" : "Add to Cart"}
+          </Button>
+          <WishlistButton product={product} />
+        </div>
+
+        {min > 1 && !outOfStock && <p className="text-sm text-muted-foreground">Minimum order: {min}</p>}
+
+        <Button variant="link" asChild className="px-0">
+          <Link to={`/product/${product.id}`}>
+            View full details
+            <ArrowRight className="w-4 h-4 ml-2" />
+          </Link>
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * ProductQuickView Component
+ *
+ * Mount once next to a product list; the list hands `openQuickView` from
+ * `useQuickView` to its product cards.
+ *
+ * @param {Object} props - Component props
+ * @param {Product[]} [props.products] - Products the page shows, looked up before the store and the API
+ * @returns {JSX.Element} Quick view dialog
+ */
+export function ProductQuickView({ products = [] }) {
+  const { productId, closeQuickView } = useQuickView()
+
+  const pageProduct = products.find((product) => product.id === productId)
+  const storeProduct = useAppSelector((state) => selectProductById(state, productId))
+  const knownProduct = pageProduct ?? storeProduct
+  const { data, isFetching } = useGetProductQuery(productId, { skip: productId === null || Boolean(knownProduct) })
+  const product = knownProduct ?? data
+
+  return (
+    <Dialog open={productId !== null} onOpenChange={(open) => !open && closeQuickView()}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        {product ? (
+          <QuickViewDetails key={product.id} product={product} onAdded={closeQuickView} />
+        ) : (
+          <>
+            <DialogTitle className="sr-only">Quick view</DialogTitle>
+            {isFetching ? (
+              <LoadingSpinner />
+            ) : (
+              <DialogDescription className="py-8 text-center">
+                This product could not be found.
+              </DialogDescription>
+            )}
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+// Updated: feat: Add ProductQuickView dialog with gallery, quantity and add to cart
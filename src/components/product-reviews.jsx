@@ -0,0 +1,391 @@
+/**
+ * ProductReviews Component - ShoppyGlobe E-commerce
+ *
+ * Reviews section for the product detail page:
+ * - Average rating (local reviews folded in) and a star histogram
+ * - Histogram bars filter the list by stars
+ * - Sorting by newest, highest or lowest rating
+ * - Paginated review cards
+ * - Validated form for writing a review, stored in this browser
+ */
+
+"use client"
+
+import { useMemo, useState } from "react"
+import { ChevronLeft, ChevronRight, PenLine, Star, X } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
+import { addReview, selectLocalReviews } from "@/lib/features/reviews/reviews-slice"
+import {
+  REVIEW_COMMENT_LENGTH,
+  REVIEW_SORTS,
+  combinedRating,
+  ratingHistogram,
+  sortReviews,
+  validateReview,
+} from "@/lib/features/reviews/reviews"
+import { useToast } from "@/hooks/use-toast"
+import { cn } from "@/lib/utils"
+
+// Review cards per page
+const REVIEWS_PAGE_SIZE = 5
+
+const STARS = [5, 4, 3, 2, 1]
+
+const EMPTY_FORM = { rating: 0, comment: "", reviewerName: "", reviewerEmail: "" }
+
+/**
+ * StarRating Component
+ *
+ * @param {Object} props
+ * @param {number} props.value - Rating, 0 to 5
+ * @param {string} [props.className] - Classes for each star
+ * @returns {JSX.Element} Five stars, filled up to the rounded rating
+ */
+function StarRating({ value, className = "w-4 h-4" }) {
+  return (
+    <span className="flex items-center gap-0.5" role="img" aria-label={`${value} out of 5 stars`}>
+      {[1, 2, 3, 4, 5].map((star) => (
+        <Star
+          key={star}
+          className={cn(className, star <= Math.round(value) ? "fill-yellow-400 text-yellow-400" : "text-muted-foreground")}
+        />
+      ))}
+    </span>
+  )
+}
+
+/**
+ * ReviewCard Component
+ *
+ * @param {Object} props
+ * @param {Review} props.review - Review to show
+ * @returns {JSX.Element} Review card
+ */
+function ReviewCard({ review }) {
+  const date = new Date(review.date)
+
+  return (
+    <li className="py-4 space-y-2">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+        <StarRating value={review.rating} />
+        <span className="font-medium text-foreground">{review.reviewerName}</span>
+        {review.local && <Badge variant="secondary">Your review</Badge>}
+        {!Number.isNaN(date.getTime()) && (
+          <time dateTime={review.date} className="text-sm text-muted-foreground">
+            {date.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" })}
+          </time>
+        )}
+      </div>
+      <p className="text-muted-foreground leading-relaxed whitespace-pre-line">{review.comment}</p>
+    </li>
+  )
+}
+
+/**
+ * ReviewForm Component
+ *
+ * @param {Object} props
+ * @param {number} props.productId - Product being reviewed
+ * @param {Function} props.onSubmitted - Called after the review is stored
+ * @param {Function} props.onCancel - Called when the shopper closes the form
+ * @returns {JSX.Element} Review form
+ */
+function ReviewForm({ productId, onSubmitted, onCancel }) {
+  const dispatch = useAppDispatch()
+  const { toast } = useToast()
+  const [values, setValues] = useState(EMPTY_FORM)
+  const [errors, setErrors] = useState({})
+
+  const handleChange = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }))
+    // Clear error when the shopper corrects the field
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: "" }))
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    const newErrors = validateReview(values)
+    setErrors(newErrors)
+    if (Object.keys(newErrors).length > 0) return
+
+    dispatch(addReview({ productId, ...values }))
+    toast({
+      title: "Thanks for your review!",
+      description: "Your review has been added to this product.",
+    })
+    setValues(EMPTY_FORM)
+    onSubmitted()
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">Write a review</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} noValidate className="space-y-4">
+          <div>
+            <Label id="review-rating-label">Rating</Label>
+            <div role="radiogroup" aria-labelledby="review-rating-label" className="flex gap-1 mt-2">
+              {[1, 2, 3, 4, 5].map((star) => (
+                <button
+                  key={star}
+                  type="button"
+                  role="radio"
+                  aria-checked={values.rating === star}
+                  aria-label={`${star} ${star === 1 ? "star" : "stars"}`}
+                  onClick={() => handleChange("rating", star)}
+                  className="rounded-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                >
+                  <Star
+                    className={cn(
+                      "w-6 h-6",
+                      star <= values.rating ? "fill-yellow-400 text-yellow-400" : "text-muted-foreground",
+                    )}
+                  />
+                </button>
+              ))}
+            </div>
+            {errors.rating && <p className="text-sm text-destructive mt-1">{errors.rating}</p>}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="review-name">Name</Label>
+              <Input
+                id="review-name"
+                value={values.reviewerName}
+                onChange={(e) => handleChange("reviewerName", e.target.value)}
+                className={errors.reviewerName ? "border-destructive" : ""}
+              />
+              {errors.reviewerName && <p className="text-sm text-destructive mt-1">{errors.reviewerName}</p>}
+            </div>
+            <div>
+              <Label htmlFor="review-email">Email</Label>
+              <Input
+                id="review-email"
+                type="email"
+                value={values.reviewerEmail}
+                onChange={(e) => handleChange("reviewerEmail", e.target.value)}
+                className={errors.reviewerEmail ? "border-destructive" : ""}
+              />
+              {errors.reviewerEmail && <p className="text-sm text-destructive mt-1">{errors.reviewerEmail}</p>}
+            </div>
+          </div>
+
+          <div>
+            <Label htmlFor="review-comment">Review</Label>
+            <Textarea
+              id="review-comment"
+              rows={4}
+              maxLength={REVIEW_COMMENT_LENGTH.max}
+              value={values.comment}
+              onChange={(e) => handleChange("comment", e.target.value)}
+              className={errors.comment ? "border-destructive" : ""}
+            />
+            {errors.comment && <p className="text-sm text-destructive mt-1">{errors.comment}</p>}
+          </div>
+
+          <div className="flex gap-3">
+            <Button type="submit">Submit review</Button>
+            <Button type="button" variant="outline" onClick={onCancel}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * ProductReviews Component
+ *
+ * @param {Object} props - Component props
+ * @param {Product} props.product - Product whose reviews are shown
+ * @param {string} [props.className] - Classes for the section
+ * @returns {JSX.Element} Reviews section
+ */
+export function ProductReviews({ product, className }) {
+  const localReviews = useAppSelector((state) => selectLocalReviews(state, product.id))
+  const [sortBy, setSortBy] = useState("newest")
+  const [starFilter, setStarFilter] = useState(null)
+  const [page, setPage] = useState(0)
+  const [showForm, setShowForm] = useState(false)
+
+  const reviews = useMemo(() => [...localReviews, ...(product.reviews ?? [])], [localReviews, product.reviews])
+  const histogram = useMemo(() => ratingHistogram(reviews), [reviews])
+  const { average, count } = combinedRating(product, localReviews)
+
+  const visibleReviews = useMemo(() => {
+    const filtered = starFilter ? reviews.filter((review) => Math.round(review.rating) === starFilter) : reviews
+    return sortReviews(filtered, sortBy)
+  }, [reviews, starFilter, sortBy])
+
+  const pageCount = Math.max(1, Math.ceil(visibleReviews.length / REVIEWS_PAGE_SIZE))
+  const currentPage = Math.min(page, pageCount - 1)
+  const pageReviews = visibleReviews.slice(currentPage * REVIEWS_PAGE_SIZE, (currentPage + 1) * REVIEWS_PAGE_SIZE)
+
+  const handleStarFilter = (stars) => {
+    setStarFilter((current) => (current === stars ? null : stars))
+    setPage(0)
+  }
+
+  const handleSortChange = (value) => {
+    setSortBy(value)
+    setPage(0)
+  }
+
+  // Show the new review: newest first, no star filter, first page
+  const handleSubmitted = () => {
+    setShowForm(false)
+    setStarFilter(null)
+    setSortBy("newest")
+    setPage(0)
+  }
+
+  return (
+    <section id="reviews" className={className} aria-labelledby="reviews-heading">
+      <h2 id="reviews-heading" className="text-xl font-semibold text-foreground mb-4">
+        Customer reviews
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-[16rem_1fr] gap-6 md:gap-8">
+        {/* Summary and histogram */}
+        <div className="space-y-4">
+          <div className="flex items-center gap-3">
+            <span className="text-4xl font-bold text-foreground">{average.toFixed(1)}</span>
+            <div>
+              <StarRating value={average} />
+              <p className="text-sm text-muted-foreground">
+                Based on {count} {count === 1 ? "review" : "reviews"}
+              </p>
+            </div>
+          </div>
+
+          <ul className="space-y-1">
+            {STARS.map((stars) => {
+              const share = reviews.length ? Math.round((histogram[stars] / reviews.length) * 100) : 0
+
+              return (
+                <li key={stars}>
+                  <button
+                    type="button"
+                    onClick={() => handleStarFilter(stars)}
+                    disabled={histogram[stars] === 0}
+                    aria-pressed={starFilter === stars}
+                    aria-label={`${stars} stars: ${histogram[stars]} ${histogram[stars] === 1 ? "review" : "reviews"}`}
+                    className={cn(
+                      "flex w-full items-center gap-2 rounded-md px-2 py-1 text-sm transition-colors hover:bg-muted disabled:pointer-events-none disabled:opacity-50",
+                      starFilter === stars && "bg-muted",
+                    )}
+                  >
+                    <span className="w-12 text-left">{stars} star</span>
+                    <span className="h-2 flex-1 overflow-hidden rounded-full bg-muted-foreground/20">
+                      <span className="block h-full rounded-full bg-yellow-400" style={{ width: `${share}%` }} />
+                    </span>
+                    <span className="w-10 text-right text-muted-foreground">{share}%</span>
+                  </button>
+                </li>
+              )
+            })}
+          </ul>
+
+          {!showForm && (
+            <Button variant="outline" className="w-full" onClick={() => setShowForm(true)}>
+              <PenLine className="w-4 h-4 mr-2" />
+              Write a review
+            </Button>
+          )}
+        </div>
+
+        {/* Review list */}
+        <div className="space-y-4 min-w-0">
+          {showForm && (
+            <ReviewForm productId={product.id} onSubmitted={handleSubmitted} onCancel={() => setShowForm(false)} />
+          )}
+
+          {reviews.length === 0 ? (
+            !showForm && <p className="text-muted-foreground">No reviews yet. Be the first to review this product.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                {starFilter ? (
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => handleStarFilter(starFilter)}
+                    aria-label={`Clear ${starFilter}-star filter`}
+                  >
+                    {starFilter}-star reviews
+                    <X className="w-3 h-3 ml-2" />
+                  </Button>
+                ) : (
+                  <p className="text-sm text-muted-foreground">
+                    {reviews.length} {reviews.length === 1 ? "review" : "reviews"}
+                  </p>
+                )}
+                <Select value={sortBy} onValueChange={handleSortChange}>
+                  <SelectTrigger className="w-44" aria-label="Sort reviews">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {REVIEW_SORTS.map(({ value, label }) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <ul className="divide-y">
+                {pageReviews.map((review, index) => (
+                  <ReviewCard key={review.id ?? `${review.reviewerEmail}-${review.date}-${index}`} review={review} />
+                ))}
+              </ul>
+
+              {pageCount > 1 && (
+                <nav className="flex items-center justify-between" aria-label="Review pages">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setPage(currentPage - 1)}
+                    disabled={currentPage === 0}
+                  >
+                    <ChevronLeft className="w-4 h-4 mr-1" />
+                    Previous
+                  </Button>
+                  <span className="text-sm text-muted-foreground">
+                    Page {currentPage + 1} of {pageCount}
+                  </span>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setPage(currentPage + 1)}
+                    disabled={currentPage === pageCount - 1}
+                  >
+                    Next
+                    <ChevronRight className="w-4 h-4 ml-1" />
+                  </Button>
+                </nav>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+// Updated: feat: Add ProductReviews section with histogram, sorting, filters and a review form
@@ -0,0 +1,119 @@
+/**
+ * ProductRows Component - ShoppyGlobe E-commerce
+ *
+ * Compact list view of the catalog, one product per row:
+ * - Thumbnail, title (with search matches highlighted) and brand
+ * - Rating, stock and price side by side for quick comparison
+ * - Add to cart without leaving the list
+ * - Virtualized with window scrolling, like the grid
+ */
+
+"use client"
+
+import { forwardRef, useRef } from "react"
+import { Link } from "react-router-dom"
+import { Star, ShoppingCart } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { useAddToCart } from "@/hooks/use-add-to-cart"
+import { useProductScrollAnchor } from "@/hooks/use-scroll-restoration"
+import { HighlightedText } from "./highlighted-text"
+import { LazyImage } from "./lazy-image"
+import { StockStatus } from "./stock-status"
+import { VirtualList } from "./virtual-list"
+
+// Row height assumed for rows that have not been rendered yet
+const ESTIMATED_ROW_HEIGHT = 89
+
+/**
+ * ProductRow Component
+ *
+ * @param {Object} props - Component props
+ * @param {Product} props.product - Product to show
+ * @param {string} [props.highlight] - Search query whose matches are marked in the title
+ * @returns {JSX.Element} Single product row
+ */
+function ProductRow({ product, highlight }) {
+  const addProductToCart = useAddToCart()
+  const discountedPrice = product.price * (1 - product.discountPercentage / 100)
+
+  return (
+    <div className="flex items-center gap-4 py-3 border-b">
+      {/* Thumbnail */}
+      <Link to={`/product/${product.id}`} className="flex-shrink-0" tabIndex={-1} aria-hidden="true">
+        <div className="w-16 h-16 rounded-lg overflow-hidden bg-muted">
+          <LazyImage
+            src={product.thumbnail || "/placeholder.svg"}
+            alt=""
+            sizes="64px"
+            className="w-full h-full object-cover"
+          />
+        </div>
+      </Link>
+
+      {/* Title and brand */}
+      <div className="flex-1 min-w-0">
+        <Link to={`/product/${product.id}`} className="hover:text-accent transition-colors">
+          <h3 className="font-medium text-foreground truncate">
+            <HighlightedText text={product.title} query={highlight} />
+          </h3>
+        </Link>
+        {product.brand && <p className="text-sm text-muted-foreground truncate">{product.brand}</p>}
+      </div>
+
+      {/* Rating and stock */}
+      <div className="hidden sm:flex flex-col items-end gap-1 w-28 flex-shrink-0">
+        <span className="flex items-center gap-1 text-sm text-muted-foreground">
+          <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
+          {product.rating}
+        </span>
+        <StockStatus stock={product.stock} />
+      </div>
+
+      {/* Price */}
+      <div className="w-24 flex-shrink-0 text-right">
+        <p className="font-bold text-foreground">${discountedPrice.toFixed(2)}</p>
+        {product.discountPercentage > 0 && (
+          <p className="text-sm text-muted-foreground line-through">${product.price.toFixed(2)}</p>
+        )}
+      </div>
+
+      {/* Add to cart */}
+      <Button
+        size="sm"
+        onClick={() => addProductToCart(product)}
+        disabled={product.stock <= 0}
+        aria-label={`Add ${product.title} to cart`}
+      >
+        <ShoppingCart className="w-4 h-4 sm:mr-2" />
+        <span className="hidden sm:inline">Add</span>
+      </Button>
+    </div>
+  )
+}
+
+/**
+ * ProductRows Component
+ *
+ * @param {Object} props - Component props
+ * @param {Product[]} props.products - Products to show, in order
+ * @param {string} [props.highlight] - Search query whose matches are marked in titles
+ * @param {React.Ref} ref - Receives getScrollAnchor() and scrollToAnchor() for scroll restoration
+ * @returns {JSX.Element} Virtualized product list
+ */
+export const ProductRows = forwardRef(function ProductRows({ products, highlight }, ref) {
+  const listRef = useRef(null)
+  useProductScrollAnchor(ref, listRef, products)
+
+  return (
+    <VirtualList
+      ref={listRef}
+      windowScroll
+      className="border-t mb-4"
+      items={products}
+      itemHeight={ESTIMATED_ROW_HEIGHT}
+      renderItem={(product) => <ProductRow product={product} highlight={highlight} />}
+    />
+  )
+})
+
+// Updated: feat: Add compact list view for the catalog
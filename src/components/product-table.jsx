@@ -0,0 +1,127 @@
+/**
+ * ProductTable Component - ShoppyGlobe E-commerce
+ *
+ * Dense table view of the catalog for comparing many products at once:
+ * - One short line per product: title, brand, rating, stock and price
+ * - Brand and rating columns drop out on narrow screens
+ * - Add to cart from the last column
+ * - Virtualized with window scrolling; rows are ARIA table rows
+ */
+
+"use client"
+
+import { forwardRef, useRef } from "react"
+import { Link } from "react-router-dom"
+import { ShoppingCart } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { useAddToCart } from "@/hooks/use-add-to-cart"
+import { useProductScrollAnchor } from "@/hooks/use-scroll-restoration"
+import { cn } from "@/lib/utils"
+import { HighlightedText } from "./highlighted-text"
+import { StockStatus } from "./stock-status"
+import { VirtualList } from "./virtual-list"
+
+// Row height assumed for rows that have not been rendered yet
+const ESTIMATED_ROW_HEIGHT = 45
+
+// Column layout shared by the header and every row
+const COLUMNS =
+  "grid items-center gap-3 px-3 grid-cols-[minmax(0,1fr)_6.5rem_5rem_2.5rem] md:grid-cols-[minmax(0,1fr)_8rem_4rem_6.5rem_5rem_2.5rem]"
+
+/**
+ * ProductTableRow Component
+ *
+ * @param {Object} props - Component props
+ * @param {Product} props.product - Product to show
+ * @param {string} [props.highlight] - Search query whose matches are marked in the title
+ * @param {number} props.rowIndex - Position among all rows, counting the header as 1
+ * @returns {JSX.Element} Table row
+ */
+function ProductTableRow({ product, highlight, rowIndex }) {
+  const addProductToCart = useAddToCart()
+  const discountedPrice = product.price * (1 - product.discountPercentage / 100)
+
+  return (
+    <div role="row" aria-rowindex={rowIndex} className={cn(COLUMNS, "py-2 border-b text-sm hover:bg-muted/50")}>
+      <div role="cell" className="min-w-0 truncate">
+        <Link to={`/product/${product.id}`} className="font-medium text-foreground hover:text-accent transition-colors">
+          <HighlightedText text={product.title} query={highlight} />
+        </Link>
+      </div>
+      <div role="cell" className="hidden md:block truncate text-muted-foreground">
+        {product.brand || "-"}
+      </div>
+      <div role="cell" className="hidden md:block text-right tabular-nums">
+        {product.rating}
+      </div>
+      <div role="cell">
+        <StockStatus stock={product.stock} className="text-xs" />
+      </div>
+      <div role="cell" className="text-right font-semibold tabular-nums">
+        ${discountedPrice.toFixed(2)}
+      </div>
+      <div role="cell">
+        <Button
+          size="sm"
+          variant="ghost"
+          className="h-8 w-8 p-0"
+          onClick={() => addProductToCart(product)}
+          disabled={product.stock <= 0}
+          aria-label={`Add ${product.title} to cart`}
+        >
+          <ShoppingCart className="w-4 h-4" />
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * ProductTable Component
+ *
+ * @param {Object} props - Component props
+ * @param {Product[]} props.products - Products to show, in order
+ * @param {string} [props.highlight] - Search query whose matches are marked in titles
+ * @param {React.Ref} ref - Receives getScrollAnchor() and scrollToAnchor() for scroll restoration
+ * @returns {JSX.Element} Virtualized product table
+ */
+export const ProductTable = forwardRef(function ProductTable({ products, highlight }, ref) {
+  const listRef = useRef(null)
+  useProductScrollAnchor(ref, listRef, products)
+
+  return (
+    <div role="table" aria-label="Products" aria-rowcount={products.length + 1} className="mb-4 rounded-lg border">
+      <div role="rowgroup">
+        <div role="row" aria-rowindex={1} className={cn(COLUMNS, "py-2 border-b bg-muted/50 text-xs font-semibold text-muted-foreground")}>
+          <span role="columnheader">Product</span>
+          <span role="columnheader" className="hidden md:block">
+            Brand
+          </span>
+          <span role="columnheader" className="hidden md:block text-right">
+            Rating
+          </span>
+          <span role="columnheader">Stock</span>
+          <span role="columnheader" className="text-right">
+            Price
+          </span>
+          <span role="columnheader">
+            <span className="sr-only">Add to cart</span>
+          </span>
+        </div>
+      </div>
+      <div role="rowgroup">
+        <VirtualList
+          ref={listRef}
+          windowScroll
+          items={products}
+          itemHeight={ESTIMATED_ROW_HEIGHT}
+          renderItem={(product, index) => (
+            <ProductTableRow product={product} highlight={highlight} rowIndex={index + 2} />
+          )}
+        />
+      </div>
+    </div>
+  )
+})
+
+// Updated: feat: Add dense table view for the catalog
@@ -0,0 +1,50 @@
+/**
+ * RecentlyViewed Component - ShoppyGlobe E-commerce
+ *
+ * Carousel of the products the shopper opened most recently:
+ * - Most recent first, from the persisted recently viewed history
+ * - Leaves out the product currently on screen
+ * - "Clear history" empties the list
+ * - Renders nothing while there is nothing to show
+ */
+
+"use client"
+
+import { useMemo } from "react"
+import { History } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
+import { clearRecentlyViewed, selectRecentlyViewed } from "@/lib/features/recently-viewed/recently-viewed-slice"
+import { ProductCarousel } from "./product-carousel"
+
+/**
+ * RecentlyViewed Component
+ *
+ * @param {Object} props - Component props
+ * @param {number} [props.excludeId] - Product to leave out, usually the one being viewed
+ * @param {string} [props.className] - Classes for the section
+ * @returns {JSX.Element|null} Recently viewed carousel
+ */
+export function RecentlyViewed({ excludeId, className }) {
+  const dispatch = useAppDispatch()
+  const history = useAppSelector(selectRecentlyViewed)
+  const products = useMemo(() => history.filter((item) => item.id !== excludeId), [history, excludeId])
+
+  if (products.length === 0) return null
+
+  return (
+    <ProductCarousel
+      title="Recently viewed"
+      products={products}
+      className={className}
+      actions={
+        <Button variant="ghost" size="sm" onClick={() => dispatch(clearRecentlyViewed())}>
+          <History className="w-4 h-4 mr-2" />
+          Clear history
+        </Button>
+      }
+    />
+  )
+}
+
+// Updated: feat: Add RecentlyViewed carousel
@@ -0,0 +1,416 @@
+/**
+ * SearchAutocomplete Component - ShoppyGlobe E-commerce
+ *
+ * Header search box with a suggestions popover:
+ * - Matching products with thumbnail and price (Enter opens the product),
+ *   ranked by the search worker
+ * - Matching categories and brands
+ * - The shopper's recent searches, with a clear control
+ * - Full keyboard support: arrows to move, Enter to pick, Escape to close
+ * - Combobox / listbox ARIA semantics with an active descendant
+ * - The search is applied on submit, not on every keystroke
+ */
+
+"use client"
+
+import { useEffect, useId, useMemo, useRef, useState } from "react"
+import { useLocation, useNavigate } from "react-router-dom"
+import { useStore } from "react-redux"
+import { Clock, LayoutGrid, Search, Tag } from "lucide-react"
+import { Input } from "@/components/ui/input"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
+import { selectQuerySource, setSearchQuery } from "@/lib/features/products/products-slice"
+import { useGetCategoriesQuery } from "@/lib/features/products/products-api"
+import { matchesText, scoreProduct } from "@/lib/features/products/search-ranking"
+import { buildFilterSearch, filterSearchFromState } from "@/hooks/use-url-filters"
+import { useDebounce } from "@/hooks/use-debounce"
+import { useRecentSearches } from "@/hooks/use-recent-searches"
+import { useSearchMatches } from "@/hooks/use-search-index"
+import { searchRedirectTarget } from "@/hooks/use-search-redirect"
+import { cn } from "@/lib/utils"
+import { HighlightedText } from "./highlighted-text"
+
+// Maximum suggestions per group
+const SUGGESTION_LIMITS = {
+  recent: 3,
+  products: 5,
+  categories: 3,
+  brands: 3,
+}
+
+/**
+ * Build Suggestion Groups
+ *
+ * With an empty query only recent searches are offered; otherwise each
+ * group lists its best matches for the query.
+ *
+ * @param {Object} sources
+ * @param {string} sources.query - Text typed so far
+ * @param {Product[]} sources.products - Searchable products
+ * @param {number[]|null} sources.matchIds - Ranked product ids from the search worker, null to score in-thread
+ * @param {Category[]} sources.categories - Catalog categories
+ * @param {string[]} sources.recentSearches - Recent searches, newest first
+ * @returns {Array<{id: string, label: string, options: Object[]}>} Non-empty groups in display order
+ */
+const buildSuggestionGroups = ({ query, products, matchIds, categories, recentSearches }) => {
+  const trimmed = query.trim()
+
+  if (!trimmed) {
+    return [
+      {
+        id: "recent",
+        label: "Recent searches",
+        options: recentSearches.map((search) => ({ type: "recent", key: `recent-${search}`, query: search })),
+      },
+    ].filter((group) => group.options.length > 0)
+  }
+
+  const lowered = trimmed.toLowerCase()
+  const recent = recentSearches
+    .filter((search) => search.toLowerCase().includes(lowered) && search.toLowerCase() !== lowered)
+    .slice(0, SUGGESTION_LIMITS.recent)
+    .map((search) => ({ type: "recent", key: `recent-${search}`, query: search }))
+
+  const productsById = new Map(products.map((product) => [product.id, product]))
+  const rankedProducts = matchIds
+    ? matchIds.map((id) => productsById.get(id)).filter(Boolean)
+    : products
+        .map((product) => ({ product, score: scoreProduct(product, trimmed) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(({ product }) => product)
+  const matchingProducts = rankedProducts
+    .slice(0, SUGGESTION_LIMITS.products)
+    .map((product) => ({ type: "product", key: `product-${product.id}`, product }))
+
+  const matchingCategories = categories
+    .filter((category) => matchesText(`${category.name} ${category.slug}`, trimmed))
+    .slice(0, SUGGESTION_LIMITS.categories)
+    .map((category) => ({ type: "category", key: `category-${category.slug}`, category }))
+
+  const brandCounts = new Map()
+  products.forEach(({ brand }) => {
+    if (brand && matchesText(brand, trimmed)) brandCounts.set(brand, (brandCounts.get(brand) ?? 0) + 1)
+  })
+  const matchingBrands = [...brandCounts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, SUGGESTION_LIMITS.brands)
+    .map(([brand, count]) => ({ type: "brand", key: `brand-${brand}`, brand, count }))
+
+  return [
+    { id: "recent", label: "Recent searches", options: recent },
+    { id: "products", label: "Products", options: matchingProducts },
+    { id: "categories", label: "Categories", options: matchingCategories },
+    { id: "brands", label: "Brands", options: matchingBrands },
+  ].filter((group) => group.options.length > 0)
+}
+
+/**
+ * SearchAutocomplete Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.className] - Classes for the form wrapper
+ * @returns {JSX.Element} Search form with suggestions popover
+ */
+export function SearchAutocomplete({ className }) {
+  const dispatch = useAppDispatch()
+  const store = useStore()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const listboxId = useId()
+  const inputRef = useRef(null)
+
+  const searchQuery = useAppSelector((state) => state.products.searchQuery)
+  const products = useAppSelector(selectQuerySource)
+  const { data: categories = [] } = useGetCategoriesQuery()
+  const { recentSearches, addRecentSearch, clearRecentSearches } = useRecentSearches()
+
+  // Text in the box; only applied to the product grid on submit
+  const [value, setValue] = useState(searchQuery)
+  const [open, setOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const debouncedValue = useDebounce(value, 150)
+  const matches = useSearchMatches(debouncedValue, "suggestions")
+
+  /**
+   * Sync Input with Redux State
+   *
+   * Keeps the box in step when the search changes elsewhere
+   * (URL navigation, "did you mean", clearing filters).
+   */
+  useEffect(() => {
+    setValue(searchQuery)
+  }, [searchQuery])
+
+  const groups = useMemo(
+    () =>
+      buildSuggestionGroups({ query: debouncedValue, products, matchIds: matches.ids, categories, recentSearches }),
+    [debouncedValue, products, matches, categories, recentSearches],
+  )
+  const options = useMemo(() => groups.flatMap((group) => group.options), [groups])
+  const expanded = open && options.length > 0
+
+  // Suggestions change under the cursor while typing; start from the input again
+  useEffect(() => {
+    setActiveIndex(-1)
+  }, [options])
+
+  const optionId = (index) => `${listboxId}-option-${index}`
+
+  const close = () => {
+    setOpen(false)
+    setActiveIndex(-1)
+  }
+
+  /**
+   * Apply Search
+   *
+   * Sets the search for the product grid, remembers it, and opens the home
+   * page with the current filters when searching from another page.
+   * Queries with a merchandising redirect open the category page instead.
+   *
+   * @param {string} query - Search text
+   */
+  const applySearch = (query) => {
+    const trimmed = query.trim()
+    const redirect = searchRedirectTarget(trimmed, location.search)
+
+    close()
+    addRecentSearch(trimmed)
+
+    // Keyword redirects skip the results and open their category page
+    if (redirect) {
+      setValue("")
+      navigate(redirect.to, { state: redirect.state })
+      return
+    }
+
+    setValue(trimmed)
+    dispatch(setSearchQuery(trimmed))
+
+    if (location.pathname !== "/") {
+      navigate({ pathname: "/", search: filterSearchFromState(store.getState(), { q: trimmed }) })
+    }
+  }
+
+  /**
+   * Select Suggestion
+   *
+   * @param {Object} option - Chosen suggestion
+   */
+  const selectOption = (option) => {
+    if (option.type === "recent") {
+      applySearch(option.query)
+      return
+    }
+
+    addRecentSearch(value)
+    close()
+    inputRef.current?.blur()
+
+    if (option.type === "product") {
+      navigate(`/product/${option.product.id}`)
+    } else if (option.type === "category") {
+      navigate(`/category/${option.category.slug}`)
+    } else {
+      navigate({ pathname: "/", search: buildFilterSearch({ brand: option.brand }) })
+    }
+  }
+
+  /**
+   * Handle Keyboard Navigation
+   *
+   * Arrow keys move through the suggestions (wrapping around), Enter picks
+   * the active one or submits the search, Escape closes the popover.
+   *
+   * @param {KeyboardEvent} e - Keydown event from the input
+   */
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault()
+        setOpen(true)
+        if (options.length > 0) setActiveIndex((index) => (index + 1) % options.length)
+        break
+      case "ArrowUp":
+        e.preventDefault()
+        setOpen(true)
+        if (options.length > 0) setActiveIndex((index) => (index <= 0 ? options.length - 1 : index - 1))
+        break
+      case "Enter":
+        if (expanded && activeIndex >= 0) {
+          e.preventDefault()
+          selectOption(options[activeIndex])
+        }
+        break
+      case "Escape":
+        if (expanded) {
+          e.preventDefault()
+          close()
+        }
+        break
+      case "Tab":
+        close()
+        break
+    }
+  }
+
+  /**
+   * Handle Search Form Submission
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    applySearch(value)
+  }
+
+  // Keep the active option in view when moving with the keyboard
+  useEffect(() => {
+    if (activeIndex < 0) return
+    document.getElementById(`${listboxId}-option-${activeIndex}`)?.scrollIntoView?.({ block: "nearest" })
+  }, [activeIndex, listboxId])
+
+  let optionIndex = -1
+
+  return (
+    <form onSubmit={handleSubmit} role="search" className={className}>
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-muted-foreground w-4 h-4" />
+        <Input
+          ref={inputRef}
+          type="text"
+          role="combobox"
+          aria-label="Search products"
+          aria-autocomplete="list"
+          aria-expanded={expanded}
+          aria-controls={listboxId}
+          aria-activedescendant={expanded && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+          autoComplete="off"
+          placeholder="Search products..."
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value)
+            setOpen(true)
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={close}
+          onKeyDown={handleKeyDown}
+          className="pl-10 bg-background text-foreground text-sm md:text-base"
+        />
+
+        {/* Suggestions Popover - mouse down is prevented so the input keeps focus */}
+        <div
+          id={listboxId}
+          role="listbox"
+          aria-label="Search suggestions"
+          hidden={!expanded}
+          onMouseDown={(e) => e.preventDefault()}
+          className="absolute left-0 right-0 top-full mt-1 z-50 max-h-[70vh] overflow-y-auto rounded-md border bg-popover text-popover-foreground shadow-lg py-1"
+        >
+          {groups.map((group) => (
+            <div key={group.id} role="group" aria-labelledby={`${listboxId}-${group.id}`}>
+              <div
+                id={`${listboxId}-${group.id}`}
+                className="flex items-center justify-between px-3 pt-2 pb-1 text-xs font-medium uppercase tracking-wide text-muted-foreground"
+              >
+                {group.label}
+                {group.id === "recent" && !debouncedValue.trim() && (
+                  <button
+                    type="button"
+                    tabIndex={-1}
+                    onClick={clearRecentSearches}
+                    className="normal-case tracking-normal hover:text-foreground"
+                  >
+                    Clear
+                  </button>
+                )}
+              </div>
+
+              {group.options.map((option) => {
+                optionIndex += 1
+                const index = optionIndex
+                const active = index === activeIndex
+
+                return (
+                  <div
+                    key={option.key}
+                    id={optionId(index)}
+                    role="option"
+                    aria-selected={active}
+                    onClick={() => selectOption(option)}
+                    onMouseMove={() => setActiveIndex(index)}
+                    className={cn(
+                      "flex items-center gap-3 px-3 py-2 text-sm cursor-pointer",
+                      active && "bg-accent text-accent-foreground",
+                    )}
+                  >
+                    {option.type === "recent" && (
+                      <>
+                        <Clock className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                        <span className="truncate">{option.query}</span>
+                      </>
+                    )}
+
+                    {option.type === "product" && (
+                      <>
+                        <img
+                          src={option.product.thumbnail || "/placeholder.svg"}
+                          alt=""
+                          loading="lazy"
+                          className="w-10 h-10 rounded object-cover bg-muted flex-shrink-0"
+                        />
+                        <span className="flex-1 min-w-0 truncate">
+                          <HighlightedText
+                            text={option.product.title}
+                            query={debouncedValue}
+                            as="strong"
+                            className="font-semibold"
+                          />
+                        </span>
+                        <span className="font-medium">
+                          ${(option.product.price * (1 - option.product.discountPercentage / 100)).toFixed(2)}
+                        </span>
+                      </>
+                    )}
+
+                    {option.type === "category" && (
+                      <>
+                        <LayoutGrid className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                        <span className="truncate">
+                          <HighlightedText
+                            text={option.category.name}
+                            query={debouncedValue}
+                            as="strong"
+                            className="font-semibold"
+                          />
+                        </span>
+                      </>
+                    )}
+
+                    {option.type === "brand" && (
+                      <>
+                        <Tag className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                        <span className="flex-1 truncate">
+                          <HighlightedText
+                            text={option.brand}
+                            query={debouncedValue}
+                            as="strong"
+                            className="font-semibold"
+                          />
+                        </span>
+                        <span className="text-muted-foreground">{option.count}</span>
+                      </>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+    </form>
+  )
+}
+
+// Updated: feat: Add SearchAutocomplete with product, category, brand and recent suggestions
@@ -0,0 +1,88 @@
+/**
+ * Search Debug Components - ShoppyGlobe E-commerce
+ *
+ * Merchandiser tools, only shown in search debug mode
+ * (VITE_SEARCH_DEBUG=true or ?debug=search):
+ * - SearchRulesDebug: which merchandising rules fired for the current query
+ * - RedirectDebug: which redirect rule led to a category page
+ */
+
+"use client"
+
+import { useLocation } from "react-router-dom"
+import { Bug } from "lucide-react"
+import { isSearchDebugEnabled, rulesForQuery } from "@/lib/features/products/merchandising"
+
+/**
+ * Debug Panel
+ *
+ * @param {Object} props
+ * @param {string} props.title - Panel heading
+ * @param {React.ReactNode} props.children - Panel content
+ * @returns {JSX.Element} Dashed debug panel
+ */
+function DebugPanel({ title, children }) {
+  return (
+    <div className="mb-4 rounded-lg border border-dashed border-amber-500 bg-amber-50 p-3 text-sm text-amber-900 dark:bg-amber-950/40 dark:text-amber-200">
+      <p className="flex items-center gap-2 font-semibold mb-1">
+        <Bug className="w-4 h-4" />
+        {title}
+      </p>
+      {children}
+    </div>
+  )
+}
+
+/**
+ * SearchRulesDebug Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.query - Current search query
+ * @returns {JSX.Element|null} Fired rules, or null outside debug mode or without a query
+ */
+export function SearchRulesDebug({ query }) {
+  const location = useLocation()
+
+  if (!isSearchDebugEnabled(location.search) || !query.trim()) return null
+
+  const { fired } = rulesForQuery(query)
+
+  return (
+    <DebugPanel title={`Merchandising rules for "${query}"`}>
+      {fired.length === 0 ? (
+        <p>No rule fired.</p>
+      ) : (
+        <ul className="space-y-0.5">
+          {fired.map((rule, index) => (
+            <li key={`${rule.id}-${index}`}>
+              <span className="font-mono">{rule.id}</span> ({rule.type}): {rule.detail}
+            </li>
+          ))}
+        </ul>
+      )}
+    </DebugPanel>
+  )
+}
+
+/**
+ * RedirectDebug Component
+ *
+ * @returns {JSX.Element|null} Redirect note, or null outside debug mode or without a redirect
+ */
+export function RedirectDebug() {
+  const location = useLocation()
+  const redirectedFrom = location.state?.redirectedFrom
+
+  if (!isSearchDebugEnabled(location.search) || !redirectedFrom) return null
+
+  return (
+    <DebugPanel title="Search redirect">
+      <p>
+        Rule <span className="font-mono">{redirectedFrom.ruleId}</span> redirected the search "{redirectedFrom.query}"
+        here.
+      </p>
+    </DebugPanel>
+  )
+}
+
+// Updated: feat: Add search debug panels for merchandising rules
@@ -0,0 +1,42 @@
+/**
+ * SimilarProducts Component - ShoppyGlobe E-commerce
+ *
+ * Carousel of products like the one being viewed:
+ * - Scored by shared category, brand, price band and tags
+ * - Candidates are the product's category plus every product already loaded
+ * - Renders nothing while there is nothing similar to show
+ */
+
+"use client"
+
+import { useMemo } from "react"
+import { useAppSelector } from "@/lib/hooks"
+import { useGetCategoryProductsQuery } from "@/lib/features/products/products-api"
+import { similarProducts } from "@/lib/features/products/recommendations"
+import { ProductCarousel } from "./product-carousel"
+
+/**
+ * SimilarProducts Component
+ *
+ * @param {Object} props - Component props
+ * @param {Product} props.product - Product being viewed
+ * @param {string} [props.className] - Classes for the section
+ * @returns {JSX.Element|null} Similar products carousel
+ */
+export function SimilarProducts({ product, className }) {
+  const loadedProducts = useAppSelector((state) => state.products.products)
+  const { data } = useGetCategoryProductsQuery({ slug: product.category })
+
+  const products = useMemo(() => {
+    const candidates = new Map(loadedProducts.map((candidate) => [candidate.id, candidate]))
+    data?.products.forEach((candidate) => candidates.set(candidate.id, candidate))
+
+    return similarProducts(product, [...candidates.values()])
+  }, [product, loadedProducts, data])
+
+  if (products.length === 0) return null
+
+  return <ProductCarousel title="Similar products" products={products} className={className} />
+}
+
+// Updated: feat: Add SimilarProducts carousel
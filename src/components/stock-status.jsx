@@ -0,0 +1,34 @@
+/**
+ * StockStatus Component - ShoppyGlobe E-commerce
+ *
+ * Short availability label for a product:
+ * - "Out of stock" when none are left
+ * - "Only N left" when stock is low
+ * - "In stock" otherwise
+ */
+
+import { cn } from "@/lib/utils"
+
+// Stock at or below this count is shown as low
+const LOW_STOCK = 5
+
+/**
+ * StockStatus Component
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.stock - Units available
+ * @param {string} [props.className] - Extra classes
+ * @returns {JSX.Element} Availability label
+ */
+export function StockStatus({ stock, className }) {
+  const [label, tone] =
+    stock <= 0
+      ? ["Out of stock", "text-destructive"]
+      : stock <= LOW_STOCK
+        ? [`Only ${stock} left`, "text-amber-600 dark:text-amber-400"]
+        : ["In stock", "text-green-600 dark:text-green-400"]
+
+  return <span className={cn("text-sm font-medium", tone, className)}>{label}</span>
+}
+
+// Updated: feat: Add StockStatus component for catalog list and table views
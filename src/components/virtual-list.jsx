@@ -1,63 +1,323 @@
 "use client"
 
 
-import { useState, useEffect, useRef, useMemo } from "react"
+import {
+  forwardRef,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react"
 
 /**
  * VirtualList Props
  * @param {Array} items - Array of items to render
- * @param {number} itemHeight - Height of each item
- * @param {number} containerHeight - Height of the container
+ * @param {number} itemHeight - Estimated height of an item until it has been measured
+ * @param {number} [containerHeight] - Height of the container; measured from CSS when omitted, not used with windowScroll
  * @param {Function} renderItem - Function to render each item
  * @param {number} [overscan] - Number of items to render outside visible area
+ * @param {boolean} [windowScroll] - Scroll with the page instead of an own scroll container
+ * @param {Function} [getItemKey] - Stable key of an item (item, index); defaults to item.id, then the index
+ * @param {Function} [onEndReached] - Called once per length of items when the end comes within endReachedThreshold
+ * @param {number} [endReachedThreshold] - Distance in pixels from the end that counts as reached
+ * @param {string} [className] - Classes for the outer element
+ *
+ * The ref exposes scrollToIndex(index, options) and scrollToItem(item, options),
+ * with options { align: "start" | "center" | "end" | "auto", behavior, offset },
+ * and getScrollAnchor(): the first visible item and how far it is scrolled past,
+ * for scrolling back to it with scrollToIndex(index, { offset }).
  */
 
-export function VirtualList({ items, itemHeight, containerHeight, renderItem, overscan = 5 }) {
-  const [scrollTop, setScrollTop] = useState(0)
+const defaultItemKey = (item, index) => item?.id ?? index
+
+/**
+ * Virtual Row
+ *
+ * Positioned item that reports its size to the list's resize observer while rendered.
+ *
+ * @param {Object} props
+ * @param {number} props.index - Item index
+ * @param {string} props.itemKey - Item key, used to cache the measured height
+ * @param {number} props.top - Offset from the top of the list
+ * @param {Function} props.getObserver - Returns the list's ResizeObserver
+ * @param {React.ReactNode} props.children - Rendered item
+ * @returns {JSX.Element} Row
+ */
+function VirtualRow({ index, itemKey, top, getObserver, children }) {
+  const rowRef = useRef(null)
+
+  useEffect(() => {
+    const row = rowRef.current
+    const observer = getObserver()
+    if (!row || !observer) return
+
+    observer.observe(row)
+    return () => observer.unobserve(row)
+  }, [getObserver])
+
+  return (
+    <div
+      ref={rowRef}
+      data-index={index}
+      data-key={itemKey}
+      style={{ position: "absolute", top, left: 0, right: 0 }}
+    >
+      {children}
+    </div>
+  )
+}
+
+/**
+ * Find Index At Offset
+ *
+ * @param {Float64Array} offsets - Start offset of every item, plus the total height
+ * @param {number} offset - Distance from the top of the list
+ * @returns {number} Index of the item covering the offset
+ */
+const indexAtOffset = (offsets, offset) => {
+  let low = 0
+  let high = offsets.length - 2
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (offsets[middle] <= offset) low = middle
+    else high = middle - 1
+  }
+  return Math.max(0, low)
+}
+
+export const VirtualList = forwardRef(function VirtualList(
+  {
+    items,
+    itemHeight,
+    containerHeight,
+    renderItem,
+    overscan = 5,
+    windowScroll = false,
+    getItemKey = defaultItemKey,
+    onEndReached,
+    endReachedThreshold = 200,
+    className,
+  },
+  ref,
+) {
+  // Visible window relative to the top of the list
+  const [viewport, setViewport] = useState({ top: 0, height: containerHeight ?? 0 })
+  // Key of the item holding keyboard focus, kept rendered while scrolled away
+  const [focusedKey, setFocusedKey] = useState(null)
+  // Measured heights by item key
+  const [heights, setHeights] = useState(() => new Map())
   const scrollElementRef = useRef(null)
+  const observerRef = useRef(null)
+  const layoutRef = useRef(null)
+  const endReachedRef = useRef(null)
+
+  const keys = useMemo(() => items.map((item, index) => String(getItemKey(item, index))), [items, getItemKey])
+
+  // Offset table: start of every item, then the total height
+  const offsets = useMemo(() => {
+    const table = new Float64Array(keys.length + 1)
+    keys.forEach((key, index) => {
+      table[index + 1] = table[index] + (heights.get(key) ?? itemHeight)
+    })
+    return table
+  }, [keys, itemHeight, heights])
+
+  const totalHeight = offsets[keys.length]
+
+  // Visible window as it is right now, or null before the list is mounted
+  const readViewport = useCallback(() => {
+    const scrollElement = scrollElementRef.current
+    if (!scrollElement) return null
+
+    return windowScroll
+      ? { top: Math.max(0, -scrollElement.getBoundingClientRect().top), height: window.innerHeight }
+      : { top: scrollElement.scrollTop, height: containerHeight ?? scrollElement.clientHeight }
+  }, [windowScroll, containerHeight])
+
+  const measure = useCallback(() => {
+    const next = readViewport()
+    if (!next) return
+
+    setViewport((current) => (current.top === next.top && current.height === next.height ? current : next))
+  }, [readViewport])
+
+  // Scrolls so the list's own offset `top` is at the top of the viewport
+  const scrollListTo = useCallback(
+    (top, behavior) => {
+      const scrollElement = scrollElementRef.current
+      if (!scrollElement) return
+
+      if (windowScroll) {
+        const listTop = scrollElement.getBoundingClientRect().top + window.scrollY
+        window.scrollTo({ top: listTop + top, behavior })
+      } else {
+        scrollElement.scrollTo({ top, behavior })
+      }
+    },
+    [windowScroll],
+  )
+
+  layoutRef.current = { offsets, keys, heights, viewport, readViewport, scrollListTo }
 
-  const { visibleItems, totalHeight, offsetY } = useMemo(() => {
-    const visibleStart = Math.floor(scrollTop / itemHeight)
-    const visibleEnd = Math.min(visibleStart + Math.ceil(containerHeight / itemHeight), items.length - 1)
+  // One observer for all rendered rows. A row above the viewport that changes
+  // height moves the scroll position with it, so the visible rows stay put.
+  const getObserver = useCallback(() => {
+    if (!observerRef.current && typeof ResizeObserver !== "undefined") {
+      observerRef.current = new ResizeObserver((entries) => {
+        const { offsets: table, keys: currentKeys, heights: measured, viewport: visible } = layoutRef.current
+        const updates = new Map()
+        let shift = 0
 
-    const start = Math.max(0, visibleStart - overscan)
-    const end = Math.min(items.length - 1, visibleEnd + overscan)
+        entries.forEach(({ target }) => {
+          const key = target.dataset.key
+          const height = target.offsetHeight
+          if (height === 0 || height === measured.get(key)) return
 
-    return {
-      visibleItems: items.slice(start, end + 1).map((item, index) => ({
-        item,
-        index: start + index,
-      })),
-      totalHeight: items.length * itemHeight,
-      offsetY: start * itemHeight,
+          const index = currentKeys.indexOf(key)
+          if (index !== -1 && table[index] < visible.top) {
+            shift += height - (table[index + 1] - table[index])
+          }
+          updates.set(key, height)
+        })
+
+        if (updates.size === 0) return
+        setHeights((current) => new Map([...current, ...updates]))
+        if (shift !== 0 && visible.top > 0) layoutRef.current.scrollListTo(visible.top + shift)
+      })
     }
-  }, [items, itemHeight, scrollTop, containerHeight, overscan])
+    return observerRef.current
+  }, [])
+
+  useEffect(() => () => observerRef.current?.disconnect(), [])
+
+  const { visibleItems } = useMemo(() => {
+    if (keys.length === 0) return { visibleItems: [] }
+
+    const start = Math.max(0, indexAtOffset(offsets, viewport.top) - overscan)
+    const end = Math.min(keys.length - 1, indexAtOffset(offsets, viewport.top + viewport.height) + overscan)
 
+    // The focused item keeps its place in DOM order, so Tab moves on from it
+    const focusedIndex = focusedKey === null ? -1 : keys.indexOf(focusedKey)
+    const indexes = []
+    if (focusedIndex !== -1 && focusedIndex < start) indexes.push(focusedIndex)
+    for (let index = start; index <= end; index++) indexes.push(index)
+    if (focusedIndex > end) indexes.push(focusedIndex)
+
+    return { visibleItems: indexes.map((index) => ({ item: items[index], index })) }
+  }, [items, keys, offsets, viewport, overscan, focusedKey])
+
+  // Content above a window-scrolled list can move it without a scroll event
+  useLayoutEffect(() => {
+    measure()
+  }, [measure, totalHeight])
+
+  // Scroll and resize: the window, or the list's own container
   useEffect(() => {
     const scrollElement = scrollElementRef.current
     if (!scrollElement) return
 
-    const handleScroll = () => {
-      setScrollTop(scrollElement.scrollTop)
+    const target = windowScroll ? window : scrollElement
+    target.addEventListener("scroll", measure, { passive: true })
+    window.addEventListener("resize", measure)
+
+    let resizeObserver = null
+    if (!windowScroll && typeof ResizeObserver !== "undefined") {
+      resizeObserver = new ResizeObserver(measure)
+      resizeObserver.observe(scrollElement)
     }
 
-    scrollElement.addEventListener("scroll", handleScroll)
-    return () => scrollElement.removeEventListener("scroll", handleScroll)
-  }, [])
+    return () => {
+      target.removeEventListener("scroll", measure)
+      window.removeEventListener("resize", measure)
+      resizeObserver?.disconnect()
+    }
+  }, [windowScroll, measure])
+
+  // End reached: once for every length of items, so a new page can trigger it again
+  useEffect(() => {
+    if (!onEndReached || keys.length === 0 || viewport.height === 0) return
+    if (viewport.top + viewport.height < totalHeight - endReachedThreshold) return
+    if (endReachedRef.current === keys.length) return
+
+    endReachedRef.current = keys.length
+    onEndReached()
+  }, [onEndReached, endReachedThreshold, keys.length, totalHeight, viewport])
+
+  useImperativeHandle(
+    ref,
+    () => {
+      const scrollToIndex = (index, { align = "start", behavior = "auto", offset = 0 } = {}) => {
+        const { offsets: table, keys: currentKeys, readViewport: read, viewport } = layoutRef.current
+        const visible = read() ?? viewport
+        if (index < 0 || index >= currentKeys.length) return
+
+        const itemTop = table[index]
+        const itemBottom = table[index + 1]
+        let top = itemTop
+
+        if (align === "end") top = itemBottom - visible.height
+        else if (align === "center") top = itemTop - (visible.height - (itemBottom - itemTop)) / 2
+        else if (align === "auto") {
+          if (itemTop >= visible.top && itemBottom <= visible.top + visible.height) return
+          if (itemBottom > visible.top + visible.height) top = itemBottom - visible.height
+        }
+
+        layoutRef.current.scrollListTo(Math.max(0, top + offset), behavior)
+      }
+
+      return {
+        scrollToIndex,
+        getScrollAnchor: () => {
+          const { offsets: table, keys: currentKeys, readViewport: read, viewport } = layoutRef.current
+          const visible = read() ?? viewport
+          if (currentKeys.length === 0) return null
+
+          const index = indexAtOffset(table, visible.top)
+          return { index, key: currentKeys[index], offset: visible.top - table[index] }
+        },
+        scrollToItem: (item, options) => {
+          const { keys: currentKeys } = layoutRef.current
+          const position = items.indexOf(item)
+          scrollToIndex(currentKeys.indexOf(String(getItemKey(item, position))), options)
+        },
+      }
+    },
+    [items, getItemKey],
+  )
+
+  const handleFocus = (event) => {
+    const row = event.target.closest("[data-key]")
+    if (row) setFocusedKey(row.dataset.key)
+  }
+
+  const handleBlur = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) setFocusedKey(null)
+  }
 
   return (
-    <div ref={scrollElementRef} style={{ height: containerHeight, overflow: "auto" }}>
-      <div style={{ height: totalHeight, position: "relative" }}>
-        <div style={{ transform: `translateY(${offsetY}px)` }}>
-          {visibleItems.map(({ item, index }) => (
-            <div key={index} style={{ height: itemHeight }}>
-              {renderItem(item, index)}
-            </div>
-          ))}
-        </div>
+    <div
+      ref={scrollElementRef}
+      className={className}
+      style={windowScroll ? undefined : { height: containerHeight, overflow: "auto" }}
+    >
+      <div style={{ height: totalHeight, position: "relative" }} onFocus={handleFocus} onBlur={handleBlur}>
+        {visibleItems.map(({ item, index }) => (
+          <VirtualRow
+            key={keys[index]}
+            index={index}
+            itemKey={keys[index]}
+            top={offsets[index]}
+            getObserver={getObserver}
+          >
+            {renderItem(item, index)}
+          </VirtualRow>
+        ))}
       </div>
     </div>
   )
-}
+})
 
 // Updated: feat: Add virtual list component for performance
@@ -0,0 +1,64 @@
+/**
+ * WishlistButton Component - ShoppyGlobe E-commerce
+ *
+ * Heart toggle that saves a product to, or removes it from, the wishlist:
+ * - Filled heart while the product is saved
+ * - Toast confirmation either way
+ * - Announced as a pressed/unpressed toggle to assistive technology
+ */
+
+"use client"
+
+import { Heart } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
+import { selectIsInWishlist, toggleWishlist } from "@/lib/features/wishlist/wishlist-slice"
+import { useToast } from "@/hooks/use-toast"
+import { cn } from "@/lib/utils"
+
+/**
+ * WishlistButton Component
+ *
+ * @param {Object} props - Component props
+ * @param {Product} props.product - Product to save
+ * @param {string} [props.variant="outline"] - Button variant
+ * @param {string} [props.size="icon"] - Button size
+ * @param {string} [props.className] - Extra classes
+ * @param {string} [props.iconClassName] - Classes for the heart icon
+ * @returns {JSX.Element} Wishlist toggle button
+ */
+export function WishlistButton({ product, variant = "outline", size = "icon", className, iconClassName = "w-5 h-5" }) {
+  const dispatch = useAppDispatch()
+  const saved = useAppSelector((state) => selectIsInWishlist(state, product.id))
+  const { toast } = useToast()
+
+  const handleToggle = (event) => {
+    // Never follow a surrounding link or trigger a surrounding click handler
+    event.preventDefault()
+    event.stopPropagation()
+
+    dispatch(toggleWishlist(product))
+    toast({
+      title: saved ? "Removed from wishlist" : "Saved to wishlist",
+      description: saved
+        ? `${product.title} has been removed from your wishlist.`
+        : `${product.title} has been added to your wishlist.`,
+    })
+  }
+
+  return (
+    <Button
+      type="button"
+      variant={variant}
+      size={size}
+      onClick={handleToggle}
+      aria-pressed={saved}
+      aria-label={saved ? `Remove ${product.title} from wishlist` : `Save ${product.title} to wishlist`}
+      className={className}
+    >
+      <Heart className={cn(iconClassName, saved && "fill-red-500 text-red-500")} />
+    </Button>
+  )
+}
+
+// Updated: feat: Add WishlistButton heart toggle
@@ -0,0 +1,173 @@
+/**
+ * Wishlist Component - ShoppyGlobe E-commerce
+ *
+ * This component lists the shopper's saved products with:
+ * - Current price and stock from the catalog, and how the price moved since saving
+ * - Move to cart (unavailable while out of stock) and remove actions
+ * - Empty state with a link back to the catalog
+ */
+
+"use client"
+
+import { Link } from "react-router-dom"
+import { useStore } from "react-redux"
+import { ArrowLeft, Heart, ShoppingCart, Trash2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Separator } from "@/components/ui/separator"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
+import {
+  moveToCart,
+  removeFromWishlist,
+  selectWishlistItems,
+} from "@/lib/features/wishlist/wishlist-slice"
+import { addToCart, selectAddPlan } from "@/lib/features/cart/cart-slice"
+import { useGetProductQuery } from "@/lib/features/products/products-api"
+import { selectProductById } from "@/lib/features/products/products-slice"
+import { useToast } from "@/hooks/use-toast"
+import { cartAddTitle, describeCartAdd } from "@/hooks/use-add-to-cart"
+import { StockStatus } from "./stock-status"
+
+/**
+ * WishlistItem Component
+ *
+ * @param {Object} props - Component props
+ * @param {WishlistItem} props.item - Saved product
+ * @returns {JSX.Element} Saved product row
+ */
+function WishlistItem({ item }) {
+  const dispatch = useAppDispatch()
+  const store = useStore()
+  const { toast } = useToast()
+
+  // Current catalog data: the loaded list first, refreshed by the detail query
+  const listProduct = useAppSelector((state) => selectProductById(state, item.id))
+  const { data } = useGetProductQuery(item.id)
+  const product = data ?? listProduct
+
+  const price = product?.price ?? item.price
+  const discountedPrice = product ? price * (1 - product.discountPercentage / 100) : price
+  const priceChange = price - item.price
+  const outOfStock = product ? product.stock <= 0 : false
+
+  // The product stays saved when none of it can be added to the cart
+  const handleMoveToCart = () => {
+    const source = product ?? item
+    const plan = selectAddPlan(store.getState(), source)
+
+    if (plan.added <= 0) {
+      // As when adding it, the cart item is lowered to a dropped stock or removed when sold out
+      if (plan.removed || plan.reduced) {
+        const { id, title, price, image } = item
+        dispatch(addToCart({ id, title, price, image, stock: source.stock, minimumOrderQuantity: source.minimumOrderQuantity }))
+      }
+      toast({ title: cartAddTitle(plan), description: describeCartAdd(item.title, plan), variant: "destructive" })
+      return
+    }
+
+    dispatch(moveToCart(source))
+    toast({
+      title: "Moved to cart",
+      description: describeCartAdd(item.title, plan, "moved from your wishlist to your cart"),
+    })
+  }
+
+  return (
+    <div className="flex gap-4 py-4">
+      {/* Product Image */}
+      <Link to={`/product/${item.id}`} className="flex-shrink-0">
+        <div className="w-20 h-20 rounded-lg overflow-hidden bg-muted">
+          <img src={item.image || "/placeholder.svg"} alt={item.title} className="w-full h-full object-cover" />
+        </div>
+      </Link>
+
+      {/* Product Details */}
+      <div className="flex-1 min-w-0 space-y-1">
+        <Link to={`/product/${item.id}`}>
+          <h3 className="font-medium text-foreground hover:text-accent transition-colors line-clamp-2">
+            {product?.title ?? item.title}
+          </h3>
+        </Link>
+        <div className="flex flex-wrap items-baseline gap-x-3 gap-y-1">
+          <span className="text-lg font-semibold text-foreground">${discountedPrice.toFixed(2)}</span>
+          {priceChange !== 0 && (
+            <span className={priceChange < 0 ? "text-sm text-green-600" : "text-sm text-muted-foreground"}>
+              {priceChange < 0 ? "Price dropped" : "Price went up"} from ${item.price.toFixed(2)}
+            </span>
+          )}
+        </div>
+        {product && <StockStatus stock={product.stock} />}
+      </div>
+
+      {/* Actions */}
+      <div className="flex flex-col items-end gap-2 flex-shrink-0">
+        <Button size="sm" onClick={handleMoveToCart} disabled={outOfStock}>
+          <ShoppingCart className="w-4 h-4 mr-2" />
+          Move to cart
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => dispatch(removeFromWishlist(item.id))}
+          className="text-muted-foreground hover:text-destructive"
+          aria-label={`Remove ${item.title} from wishlist`}
+        >
+          <Trash2 className="w-4 h-4" />
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Wishlist Component
+ *
+ * @returns {JSX.Element} Saved products, or an empty state
+ */
+export function Wishlist() {
+  const items = useAppSelector(selectWishlistItems)
+
+  if (items.length === 0) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <Card>
+          <CardContent className="flex flex-col items-center justify-center py-16">
+            <Heart className="w-16 h-16 text-muted-foreground mb-4" />
+            <h2 className="text-2xl font-semibold text-foreground mb-2">Your wishlist is empty</h2>
+            <p className="text-muted-foreground mb-6 text-center">
+              Tap the heart on any product to save it here for later.
+            </p>
+            <Button asChild>
+              <Link to="/">
+                <ArrowLeft className="w-4 h-4 mr-2" />
+                Continue Shopping
+              </Link>
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <Card>
+        <CardHeader>
+          <CardTitle>
+            Wishlist ({items.length} {items.length === 1 ? "item" : "items"})
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {items.map((item, index) => (
+            <div key={item.id}>
+              {index > 0 && <Separator />}
+              <WishlistItem item={item} />
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+// Updated: feat: Add Wishlist component with current prices and stock
@@ -0,0 +1,73 @@
+// Hook for adding a catalog product to the cart with a confirmation toast
+
+"use client"
+
+import { useCallback } from "react"
+import { useStore } from "react-redux"
+import { useAppDispatch } from "@/lib/hooks"
+import { addToCart, selectAddPlan } from "@/lib/features/cart/cart-slice"
+import { useToast } from "@/hooks/use-toast"
+
+// Describes what adding `title` to the cart did, following a plan from
+// `selectAddPlan` - for toasts about one product or a whole bundle.
+// `done` says what happened to the product when some of it was added
+export function describeCartAdd(title, plan, done = "added to your cart") {
+  if (plan.unavailable) {
+    return `${title} is out of stock${plan.removed ? " and has been removed from your cart" : ""}.`
+  }
+  if (plan.reduced) {
+    return `Only ${plan.max} of ${title} ${plan.max === 1 ? "is" : "are"} available now, so your cart has been lowered to ${plan.quantity}.`
+  }
+  if (plan.added <= 0) return `Your cart already has all ${plan.max} available of ${title}.`
+
+  const notes = [`${plan.added > 1 ? `${plan.added} × ` : ""}${title} has been ${done}.`]
+  if (plan.capped) notes.push(`Only ${plan.max} available, so your cart now has ${plan.quantity}.`)
+  if (plan.raisedToMinimum) notes.push(`The minimum order is ${plan.min}.`)
+  return notes.join(" ")
+}
+
+// Toast title for a plan from `selectAddPlan`
+export const cartAddTitle = (plan) =>
+  plan.unavailable ? "Out of stock" : plan.added <= 0 ? "Stock limit reached" : "Added to cart!"
+
+// Returns a function that adds the given product to the cart, one unit unless
+// a quantity is passed. Only the fields the cart shows, plus the stock and
+// minimum order quantity that bound it, are copied into it.
+// The toast says when the quantity was capped at the stock or raised to the
+// minimum; the function returns false when nothing could be added
+export function useAddToCart() {
+  const dispatch = useAppDispatch()
+  const store = useStore()
+  const { toast } = useToast()
+
+  return useCallback(
+    (product, quantity = 1) => {
+      const plan = selectAddPlan(store.getState(), product, quantity)
+
+      // Also dispatched when the stock dropped, so a stale cart item is lowered or removed
+      if (plan.added > 0 || plan.removed || plan.reduced) {
+        dispatch(
+          addToCart({
+            id: product.id,
+            title: product.title,
+            price: product.price,
+            image: product.thumbnail,
+            stock: product.stock,
+            minimumOrderQuantity: product.minimumOrderQuantity,
+            quantity,
+          }),
+        )
+      }
+
+      toast({
+        title: cartAddTitle(plan),
+        description: describeCartAdd(product.title, plan),
+        variant: plan.added > 0 ? "default" : "destructive",
+      })
+      return plan.added > 0
+    },
+    [dispatch, store, toast],
+  )
+}
+
+// Updated: feat: Add useAddToCart hook shared by product cards, rows and details
@@ -0,0 +1,63 @@
+// Hook for the catalog view mode (grid, list or table), saved for the shopper and shown in the URL
+
+"use client"
+
+import { useCallback } from "react"
+import { useSearchParams } from "react-router-dom"
+
+const STORAGE_KEY = "shoppyglobe-catalog-view"
+
+// Available views, the first is the default
+export const CATALOG_VIEWS = ["grid", "list", "table"]
+
+const isCatalogView = (value) => CATALOG_VIEWS.includes(value)
+
+// Reads the saved view, ignoring unavailable storage and unknown values
+const readSavedView = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY)
+    return isCatalogView(saved) ? saved : CATALOG_VIEWS[0]
+  } catch {
+    return CATALOG_VIEWS[0]
+  }
+}
+
+const writeSavedView = (view) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, view)
+  } catch {
+    // Private browsing or a full quota - the view is only kept in the URL
+  }
+}
+
+// Returns [view, setView]
+// A ?view= parameter wins, so shared links open in the view they were taken in;
+// otherwise the shopper's saved choice applies. Choosing a view saves it and
+// updates the URL without adding a history entry.
+export function useCatalogView() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const fromUrl = searchParams.get("view")
+  const view = isCatalogView(fromUrl) ? fromUrl : readSavedView()
+
+  const setView = useCallback(
+    (next) => {
+      if (!isCatalogView(next)) return
+
+      writeSavedView(next)
+      setSearchParams(
+        (current) => {
+          const params = new URLSearchParams(current)
+          if (next === CATALOG_VIEWS[0]) params.delete("view")
+          else params.set("view", next)
+          return params
+        },
+        { replace: true },
+      )
+    },
+    [setSearchParams],
+  )
+
+  return [view, setView]
+}
+
+// Updated: feat: Add useCatalogView hook for the catalog view switcher
@@ -0,0 +1,58 @@
+// Hook for responsive grids - number of columns for the current viewport width
+
+"use client"
+
+import { useEffect, useState } from "react"
+
+// Columns of the product grid from each Tailwind breakpoint up
+// (grid-cols-1 sm:grid-cols-2 md:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5)
+export const PRODUCT_GRID_COLUMNS = [
+  { minWidth: 0, columns: 1 },
+  { minWidth: 640, columns: 2 },
+  { minWidth: 768, columns: 3 },
+  { minWidth: 1280, columns: 4 },
+  { minWidth: 1536, columns: 5 },
+]
+
+// `sizes` for images that fill one grid cell: the viewport width divided by
+// the columns from each breakpoint up, widest breakpoint first
+export const gridImageSizes = (breakpoints = PRODUCT_GRID_COLUMNS) =>
+  [...breakpoints]
+    .reverse()
+    .map(({ minWidth, columns }) => {
+      const width = `${Math.round(100 / columns)}vw`
+      return minWidth > 0 ? `(min-width: ${minWidth}px) ${width}` : width
+    })
+    .join(", ")
+
+// Columns of the widest breakpoint whose media query matches
+const columnsFor = (breakpoints) => {
+  if (typeof window === "undefined" || !window.matchMedia) return breakpoints[0].columns
+
+  return breakpoints.reduce(
+    (columns, breakpoint) =>
+      window.matchMedia(`(min-width: ${breakpoint.minWidth}px)`).matches ? breakpoint.columns : columns,
+    breakpoints[0].columns,
+  )
+}
+
+// Follows the breakpoints with media queries, so the column count changes
+// together with the CSS that depends on the same widths
+export function useGridColumns(breakpoints = PRODUCT_GRID_COLUMNS) {
+  const [columns, setColumns] = useState(() => columnsFor(breakpoints))
+
+  useEffect(() => {
+    if (typeof window === "undefined" || !window.matchMedia) return
+
+    const update = () => setColumns(columnsFor(breakpoints))
+    const queries = breakpoints.map(({ minWidth }) => window.matchMedia(`(min-width: ${minWidth}px)`))
+
+    update()
+    queries.forEach((query) => query.addEventListener("change", update))
+    return () => queries.forEach((query) => query.removeEventListener("change", update))
+  }, [breakpoints])
+
+  return columns
+}
+
+// Updated: feat: Add useGridColumns hook for responsive virtual grids
@@ -0,0 +1,69 @@
+// Hook for UI state that belongs to one browser history entry, like expanded filters
+// Going back to an entry brings its state back, even after a reload
+
+"use client"
+
+import { useEffect, useState } from "react"
+import { useLocation } from "react-router-dom"
+
+const STORAGE_KEY = "shoppyglobe-history-state"
+
+// Entries kept; the oldest are dropped first
+const MAX_ENTRIES = 50
+
+// Saved state by history entry key, then by name; mirrors sessionStorage
+let entries = null
+
+const loadEntries = () => {
+  if (entries) return entries
+
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY))
+    entries = saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {}
+  } catch {
+    entries = {}
+  }
+  return entries
+}
+
+const saveEntries = () => {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(entries))
+  } catch {
+    // Private browsing or a full quota - state is still kept for this visit
+  }
+}
+
+// Value saved under `name` for a history entry, or undefined
+export function readHistoryEntry(entryKey, name) {
+  return loadEntries()[entryKey]?.[name]
+}
+
+// Saves a value under `name` for a history entry; the entry becomes the newest
+export function writeHistoryEntry(entryKey, name, value) {
+  const all = loadEntries()
+  const entry = { ...all[entryKey], [name]: value }
+
+  delete all[entryKey]
+  all[entryKey] = entry
+
+  const keys = Object.keys(all)
+  keys.slice(0, Math.max(0, keys.length - MAX_ENTRIES)).forEach((key) => delete all[key])
+  saveEntries()
+}
+
+// useState whose value is saved for the current history entry
+// The value survives leaving the page and coming back with Back/Forward;
+// a new entry (a fresh navigation) starts from initialValue
+export function useHistoryState(name, initialValue) {
+  const { key } = useLocation()
+  const [value, setValue] = useState(() => readHistoryEntry(key, name) ?? initialValue)
+
+  useEffect(() => {
+    writeHistoryEntry(key, name, value)
+  }, [key, name, value])
+
+  return [value, setValue]
+}
+
+// Updated: feat: Add useHistoryState hook for per-history-entry UI state
@@ -0,0 +1,38 @@
+// Hook for infinite scrolling - loads more content when a sentinel scrolls into view
+
+"use client"
+
+import { useEffect, useRef } from "react"
+
+// Calls onLoadMore whenever the returned sentinel ref is within rootMargin of the viewport
+// The observer is recreated when `watch` changes, so a sentinel that is still
+// visible after a page loads triggers the next page as well
+export function useInfiniteScroll({ onLoadMore, enabled = true, rootMargin = "400px", watch }) {
+  const sentinelRef = useRef(null)
+  const onLoadMoreRef = useRef(onLoadMore)
+
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore
+  }, [onLoadMore])
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!enabled || !sentinel || typeof IntersectionObserver === "undefined") return
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          onLoadMoreRef.current()
+        }
+      },
+      { rootMargin },
+    )
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [enabled, rootMargin, watch])
+
+  return sentinelRef
+}
+
+// Updated: feat: Add useInfiniteScroll hook for paged product loading
@@ -0,0 +1,42 @@
+// Hook for catalog-wide product search - sends the search query to the server
+
+"use client"
+
+import { useEffect } from "react"
+import { useAppSelector } from "@/lib/hooks"
+import { useLazySearchProductsQuery } from "@/lib/features/products/products-api"
+import { useDebounce } from "./use-debounce"
+
+// Sends the current search query to the search endpoint once typing pauses
+// The in-flight request is aborted whenever the query changes or the component unmounts
+// While offline no request is made and the grid falls back to searching loaded products
+export function useProductSearch(delay = 300) {
+  const searchQuery = useAppSelector((state) => state.products.searchQuery)
+  const search = useAppSelector((state) => state.products.search)
+  const debouncedQuery = useDebounce(searchQuery, delay)
+  const [triggerSearch] = useLazySearchProductsQuery()
+
+  useEffect(() => {
+    const query = debouncedQuery.trim()
+    if (!query) return
+    if (typeof navigator !== "undefined" && navigator.onLine === false) return
+
+    const request = triggerSearch({ q: query })
+
+    return () => {
+      request.abort()
+    }
+  }, [debouncedQuery, triggerSearch])
+
+  // Requests are made for the trimmed query, so results are matched against it
+  const query = searchQuery.trim()
+  const current = Boolean(query) && search.query === query
+
+  return {
+    searching: Boolean(query) && (searchQuery !== debouncedQuery || (current && search.status === "loading")),
+    remoteTotal: current && search.status === "succeeded" ? search.total : null,
+    searchError: current && search.status === "failed" ? search.error : null,
+  }
+}
+
+// Updated: feat: Add useProductSearch hook for server-backed search
@@ -2,74 +2,131 @@
 
 "use client"
 
-import { useEffect, useMemo } from "react"
+import { useCallback, useEffect, useMemo } from "react"
 import { useAppDispatch, useAppSelector } from "@/lib/hooks"
-import { setLoading, setProducts, setError } from "@/lib/features/products/products-slice"
-import { selectFilteredProducts } from "@/lib/features/products/products-slice"
+import {
+  selectFilteredProducts,
+  selectNextPage,
+  selectRemoteSearchResults,
+  selectSearchSuggestions,
+  selectSortBy,
+  setSearchMatches,
+} from "@/lib/features/products/products-slice"
+import { productsApi, useGetProductsQuery, PRODUCTS_PAGE_SIZE } from "@/lib/features/products/products-api"
 import { useDebounce } from "./use-debounce"
+import { useProductSearch } from "./use-product-search"
+import { useSearchMatches } from "./use-search-index"
 
 // Manages product data fetching and filtering
 export const useProducts = () => {
   const dispatch = useAppDispatch()
-  const { products, searchQuery, selectedCategory, sortBy, loading, error, categories } = useAppSelector(
+  const { products, searchQuery, selectedCategory, loading, error, categories, total, pages } = useAppSelector(
     (state) => state.products,
   )
 
   const filteredProducts = useAppSelector(selectFilteredProducts)
+  const sortBy = useAppSelector(selectSortBy)
+  const suggestions = useAppSelector(selectSearchSuggestions)
+  const nextPage = useAppSelector(selectNextPage)
+  const remoteResults = useAppSelector(selectRemoteSearchResults)
+  const search = useAppSelector((state) => state.products.search)
   const debouncedSearchQuery = useDebounce(searchQuery, 300)
 
+  // Catalog-wide search runs alongside the browse list
+  const { searching, remoteTotal, searchError } = useProductSearch()
+
+  // Matching and ranking run in the search worker; the ids it returns are
+  // mapped back to products by the filtered products selector
+  const matches = useSearchMatches(searchQuery)
   useEffect(() => {
-    // AbortController to handle cleanup and prevent memory leaks
-    const abortController = new AbortController()
-    
-    const fetchProducts = async () => {
-      dispatch(setLoading(true))
-      
-      try {
-        const response = await fetch("https://dummyjson.com/products?limit=100", {
-          signal: abortController.signal
-        })
-        
-        if (!response.ok) {
-          throw new Error("Failed to fetch products")
-        }
-        
-        const data = await response.json()
-        
-        // Only dispatch if component is still mounted
-        if (!abortController.signal.aborted) {
-          dispatch(setProducts(data.products))
-        }
-      } catch (err) {
-        // Only dispatch error if it's not an abort error and component is still mounted
-        if (!abortController.signal.aborted) {
-          dispatch(setError(err instanceof Error ? err.message : "An error occurred"))
-        }
-      }
-    }
+    dispatch(setSearchMatches(matches))
+  }, [dispatch, matches])
 
-    if (products.length === 0) {
-      fetchProducts()
-    }
+  // Subscribe to the first page; RTK Query dedupes concurrent subscribers,
+  // serves the cache and refetches in the background once it is stale.
+  // The products slice merges every loaded page for filtering.
+  useGetProductsQuery({ page: 0, limit: PRODUCTS_PAGE_SIZE })
+
+  // While remote search results are shown, paging continues through them
+  // instead of the browse list, until the endpoint's total is reached
+  const nextPageState = nextPage === null ? undefined : pages[nextPage]
+  const hasMore = remoteResults ? remoteResults.length < search.total : nextPage !== null
+  const loadingMore = remoteResults ? search.more.status === "loading" : nextPageState?.status === "loading"
+  const pageError = remoteResults
+    ? search.more.error
+    : nextPageState?.status === "failed"
+      ? nextPageState.error
+      : null
+
+  // What paging has loaded so far: search matches while they are shown, else catalog products
+  const loadedCount = remoteResults ? remoteResults.length : products.length
+  const loadTotal = remoteResults ? search.total : total
+
+  // Requests the next page; later pages live in the products slice, so no
+  // cache subscription is kept for them
+  const loadMore = useCallback(() => {
+    if (!hasMore || loadingMore) return
 
-    // Cleanup function to abort fetch request when component unmounts
-    return () => {
-      abortController.abort()
+    if (remoteResults) {
+      dispatch(
+        productsApi.endpoints.searchProducts.initiate(
+          { q: search.query, skip: remoteResults.length },
+          { subscribe: false, forceRefetch: true },
+        ),
+      )
+      return
     }
-  }, [dispatch, products.length])
+
+    dispatch(productsApi.endpoints.getProducts.initiate({ page: nextPage, limit: PRODUCTS_PAGE_SIZE }, { subscribe: false }))
+  }, [dispatch, hasMore, loadingMore, remoteResults, search.query, nextPage])
 
   return useMemo(
     () => ({
       products: filteredProducts,
       allProducts: products,
       searchQuery: debouncedSearchQuery,
+      // The grid is filtered by the submitted query as soon as it changes, so titles are
+      // highlighted with it rather than the debounced copy
+      highlightQuery: searchQuery,
+      suggestions,
       selectedCategory,
       sortBy,
       loading,
       error,
       categories,
+      total,
+      hasMore,
+      loadedCount,
+      loadTotal,
+      loadingMore,
+      pageError,
+      loadMore,
+      searching,
+      remoteTotal,
+      searchError,
     }),
-    [filteredProducts, products, debouncedSearchQuery, selectedCategory, sortBy, loading, error, categories],
+    [
+      filteredProducts,
+      products,
+      debouncedSearchQuery,
+      searchQuery,
+      suggestions,
+      selectedCategory,
+      sortBy,
+      loading,
+      error,
+      categories,
+      total,
+      hasMore,
+      loadedCount,
+      loadTotal,
+      loadingMore,
+      pageError,
+      loadMore,
+      searching,
+      remoteTotal,
+      searchError,
+    ],
   )
 }
 
@@ -0,0 +1,60 @@
+// Hook for the product quick view - which product is open, kept in the URL as ?quickview=:id
+
+"use client"
+
+import { useCallback, useEffect, useRef } from "react"
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom"
+
+export const QUICK_VIEW_PARAM = "quickview"
+
+// Returns { productId, openQuickView(id), closeQuickView() }
+// Opening adds a history entry, so Back closes the dialog; closing a quick
+// view opened from a shared link just removes the parameter.
+// openQuickView keeps its identity across URL changes, so lists can hand it
+// to memoized product cards without re-rendering them
+export function useQuickView() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const location = useLocation()
+  const navigate = useNavigate()
+
+  // setSearchParams changes with the URL; the opener reads the latest one
+  const setSearchParamsRef = useRef(setSearchParams)
+  useEffect(() => {
+    setSearchParamsRef.current = setSearchParams
+  }, [setSearchParams])
+
+  const id = Number(searchParams.get(QUICK_VIEW_PARAM))
+  const productId = Number.isInteger(id) && id > 0 ? id : null
+  const openedHere = Boolean(location.state?.quickView)
+
+  const openQuickView = useCallback((nextId) => {
+    setSearchParamsRef.current(
+      (current) => {
+        const params = new URLSearchParams(current)
+        params.set(QUICK_VIEW_PARAM, String(nextId))
+        return params
+      },
+      { state: { quickView: true } },
+    )
+  }, [])
+
+  const closeQuickView = useCallback(() => {
+    if (openedHere) {
+      navigate(-1)
+      return
+    }
+
+    setSearchParams(
+      (current) => {
+        const params = new URLSearchParams(current)
+        params.delete(QUICK_VIEW_PARAM)
+        return params
+      },
+      { replace: true },
+    )
+  }, [openedHere, navigate, setSearchParams])
+
+  return { productId, openQuickView, closeQuickView }
+}
+
+// Updated: feat: Add useQuickView hook for deep-linkable quick views
@@ -0,0 +1,60 @@
+// Hook for remembering the shopper's recent searches in localStorage
+
+"use client"
+
+import { useCallback, useState } from "react"
+
+const STORAGE_KEY = "shoppyglobe-recent-searches"
+
+// Number of searches kept, newest first
+export const RECENT_SEARCHES_LIMIT = 5
+
+// Reads the saved searches, ignoring unavailable storage and malformed data
+const readRecentSearches = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(saved) ? saved.filter((query) => typeof query === "string") : []
+  } catch {
+    return []
+  }
+}
+
+const writeRecentSearches = (searches) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(searches))
+  } catch {
+    // Private browsing or a full quota - recent searches just are not kept
+  }
+}
+
+// Returns the recent searches with functions to record a search and clear the list
+// Recording an existing search (in any letter case) moves it to the front
+export function useRecentSearches(limit = RECENT_SEARCHES_LIMIT) {
+  const [recentSearches, setRecentSearches] = useState(readRecentSearches)
+
+  const addRecentSearch = useCallback(
+    (query) => {
+      const trimmed = query.trim()
+      if (!trimmed) return
+
+      setRecentSearches((current) => {
+        const next = [trimmed, ...current.filter((saved) => saved.toLowerCase() !== trimmed.toLowerCase())].slice(
+          0,
+          limit,
+        )
+        writeRecentSearches(next)
+        return next
+      })
+    },
+    [limit],
+  )
+
+  const clearRecentSearches = useCallback(() => {
+    writeRecentSearches([])
+    setRecentSearches([])
+  }, [])
+
+  return { recentSearches, addRecentSearch, clearRecentSearches }
+}
+
+// Updated: feat: Add useRecentSearches hook for search autocomplete
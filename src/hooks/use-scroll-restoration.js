@@ -0,0 +1,102 @@
+// Hook for returning to the same scroll position when coming back to a page with Back/Forward
+
+"use client"
+
+import { useEffect, useImperativeHandle, useRef, useState } from "react"
+import { useLocation } from "react-router-dom"
+import { readHistoryEntry, writeHistoryEntry } from "./use-history-state"
+
+const ENTRY_NAME = "scroll"
+
+// Saves where the page is scrolled for the current history entry and restores it on return
+// `capture` adds page state to the snapshot (loaded products, a virtual list anchor);
+// `isReady(snapshot)` tells when the page can show it again, then `restore(snapshot)`
+// puts it back, falling back to the saved window offset when it returns false.
+// Returns the snapshot still waiting to be restored, or null.
+export function useScrollRestoration({ isReady, capture, restore }) {
+  const { key } = useLocation()
+  const [saved] = useState(() => readHistoryEntry(key, ENTRY_NAME) ?? null)
+  const restoredRef = useRef(saved === null)
+  const snapshotRef = useRef(saved)
+  const callbacksRef = useRef({ capture, restore })
+  callbacksRef.current = { capture, restore }
+  const ready = !restoredRef.current && (!isReady || isReady(saved))
+
+  // The app restores scroll itself; the browser's attempt would land before the list has rendered
+  useEffect(() => {
+    if (!("scrollRestoration" in window.history)) return
+
+    const previous = window.history.scrollRestoration
+    window.history.scrollRestoration = "manual"
+    return () => {
+      window.history.scrollRestoration = previous
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!ready || restoredRef.current) return
+
+    restoredRef.current = true
+    const { restore: restoreSnapshot } = callbacksRef.current
+    if (!restoreSnapshot || restoreSnapshot(saved) === false) {
+      window.scrollTo(0, saved.scrollY)
+    }
+  }, [ready, saved])
+
+  // Snapshot on every scroll, written out shortly after scrolling stops, when
+  // the page is hidden and when it unmounts (the snapshot is taken while the
+  // list is still there, so navigating away cannot lose it)
+  useEffect(() => {
+    let timer = null
+
+    const save = () => {
+      if (snapshotRef.current) writeHistoryEntry(key, ENTRY_NAME, snapshotRef.current)
+    }
+
+    const handleScroll = () => {
+      if (!restoredRef.current) return
+
+      snapshotRef.current = { scrollY: window.scrollY, ...callbacksRef.current.capture?.() }
+      clearTimeout(timer)
+      timer = setTimeout(save, 200)
+    }
+
+    window.addEventListener("scroll", handleScroll, { passive: true })
+    window.addEventListener("pagehide", save)
+    return () => {
+      clearTimeout(timer)
+      window.removeEventListener("scroll", handleScroll)
+      window.removeEventListener("pagehide", save)
+      save()
+    }
+  }, [key])
+
+  return restoredRef.current ? null : saved
+}
+
+// Ref API for a virtualized product view, so scroll restoration can anchor on
+// a product rather than a pixel offset: getScrollAnchor() returns the first
+// visible product and how far it is scrolled past, scrollToAnchor() goes back.
+// `perItem` is the number of products in one list item (a grid row).
+export function useProductScrollAnchor(ref, listRef, products, perItem = 1) {
+  useImperativeHandle(
+    ref,
+    () => ({
+      getScrollAnchor: () => {
+        const anchor = listRef.current?.getScrollAnchor()
+        const product = anchor && products[anchor.index * perItem]
+        return product ? { productId: product.id, offset: anchor.offset } : null
+      },
+      scrollToAnchor: ({ productId, offset }) => {
+        const position = products.findIndex((product) => product.id === productId)
+        if (position === -1 || !listRef.current) return false
+
+        listRef.current.scrollToIndex(Math.floor(position / perItem), { offset })
+        return true
+      },
+    }),
+    [listRef, products, perItem],
+  )
+}
+
+// Updated: feat: Add useScrollRestoration hook for Back/Forward navigation
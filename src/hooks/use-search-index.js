@@ -0,0 +1,60 @@
+// Hook for querying the off-thread product search index
+
+"use client"
+
+import { useEffect, useState } from "react"
+import { useAppSelector } from "@/lib/hooks"
+import { selectQuerySource } from "@/lib/features/products/products-slice"
+import { getSearchClient } from "@/lib/features/products/search-client"
+
+// Keeps the search worker's index in step with the searchable products
+// (loaded pages plus remote search results) and returns the index version
+export function useSearchIndexSync() {
+  const products = useAppSelector(selectQuerySource)
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => {
+    const client = getSearchClient()
+    client.index(products)
+    setVersion(client.version)
+  }, [products])
+
+  return version
+}
+
+// Runs the query in the search worker on the given channel and returns { query, ids }
+// `ids` are ranked product ids, or null before the first answer and when the worker fails
+// Answers superseded by a newer query (or a newer index) are dropped
+export function useSearchMatches(query, channel = "results") {
+  const version = useSearchIndexSync()
+  const [matches, setMatches] = useState({ query: "", ids: null })
+
+  useEffect(() => {
+    const trimmed = query.trim()
+    if (!trimmed) {
+      setMatches({ query: "", ids: null })
+      return
+    }
+
+    let current = true
+    getSearchClient()
+      .search(trimmed, channel)
+      .then(
+        (ids) => {
+          if (current && ids) setMatches({ query, ids })
+        },
+        () => {
+          // Without the worker, the query engine matches in-thread instead
+          if (current) setMatches({ query, ids: null })
+        },
+      )
+
+    return () => {
+      current = false
+    }
+  }, [query, channel, version])
+
+  return matches
+}
+
+// Updated: feat: Add useSearchMatches hook for worker-backed search
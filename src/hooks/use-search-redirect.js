@@ -0,0 +1,53 @@
+// Hook for merchandising redirects - sends keyword searches to category pages
+
+"use client"
+
+import { useEffect } from "react"
+import { useLocation, useNavigate } from "react-router-dom"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
+import { setSearchQuery } from "@/lib/features/products/products-slice"
+import { rulesForQuery } from "@/lib/features/products/merchandising"
+
+// Location to open for a redirect rule
+// The query and rule travel in history state so the category page can report them in debug mode
+export function searchRedirectTarget(query, search = "") {
+  const { redirect, fired } = rulesForQuery(query)
+  if (!redirect) return null
+
+  const rule = fired.find(({ type }) => type === "redirect")
+  const debug = new URLSearchParams(search).get("debug")
+
+  return {
+    to: { pathname: `/category/${redirect}`, search: debug ? `?debug=${debug}` : "" },
+    state: { redirectedFrom: { query, ruleId: rule.id } },
+  }
+}
+
+// Watches the search query and follows a redirect rule when one matches
+// The history entry is replaced, so Back returns to the page before the search
+export function useSearchRedirect() {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const searchQuery = useAppSelector((state) => state.products.searchQuery)
+
+  useEffect(() => {
+    const target = searchRedirectTarget(searchQuery, location.search)
+    if (!target) return
+
+    navigate(target.to, { replace: true, state: target.state })
+  }, [searchQuery, location.search, navigate])
+}
+
+// Clears the search on the page a redirect landed on, so returning to the
+// results does not redirect again
+export function useRedirectLanding() {
+  const dispatch = useAppDispatch()
+  const location = useLocation()
+  const redirectedFrom = location.state?.redirectedFrom
+
+  useEffect(() => {
+    if (redirectedFrom) dispatch(setSearchQuery(""))
+  }, [redirectedFrom, dispatch])
+}
+
+// Updated: feat: Add useSearchRedirect hook for merchandising redirects
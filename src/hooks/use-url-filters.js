@@ -0,0 +1,149 @@
+// Hook for keeping product filters in sync with URL query parameters
+
+"use client"
+
+import { useEffect, useRef } from "react"
+import { useSearchParams } from "react-router-dom"
+import { useStore } from "react-redux"
+import { useAppDispatch, useAppSelector } from "@/lib/hooks"
+import {
+  setBrands,
+  setInStockOnly,
+  setMinRating,
+  setOnSaleOnly,
+  setPriceRange,
+  setSearchQuery,
+  setSelectedCategory,
+  setSortBy,
+} from "@/lib/features/products/products-slice"
+
+// Parses "min-max" into a price range, or null when absent or malformed
+const parsePriceRange = (value) => {
+  const match = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(value)
+  return match ? [Number(match[1]), Number(match[2])] : null
+}
+
+// Filters mirrored in the URL - add an entry here to make a new filter shareable
+// `select` returns the value as it appears in the URL, `update` turns it back into an action
+export const URL_FILTERS = [
+  {
+    param: "q",
+    select: (state) => state.products.searchQuery,
+    update: setSearchQuery,
+    defaultValue: "",
+  },
+  {
+    param: "category",
+    select: (state) => state.products.selectedCategory,
+    update: setSelectedCategory,
+    defaultValue: "",
+  },
+  {
+    param: "sort",
+    select: (state) => state.products.sortBy,
+    update: setSortBy,
+    defaultValue: "",
+  },
+  {
+    param: "price",
+    select: (state) => state.products.facets.priceRange?.join("-") ?? "",
+    update: (value) => setPriceRange(parsePriceRange(value)),
+    defaultValue: "",
+  },
+  {
+    param: "rating",
+    select: (state) => (state.products.facets.minRating ? String(state.products.facets.minRating) : ""),
+    update: (value) => setMinRating(Number(value) || 0),
+    defaultValue: "",
+  },
+  {
+    param: "brand",
+    select: (state) => state.products.facets.brands.join(","),
+    update: (value) => setBrands(value ? value.split(",") : []),
+    defaultValue: "",
+  },
+  {
+    param: "stock",
+    select: (state) => (state.products.facets.inStockOnly ? "1" : ""),
+    update: (value) => setInStockOnly(value === "1"),
+    defaultValue: "",
+  },
+  {
+    param: "sale",
+    select: (state) => (state.products.facets.onSaleOnly ? "1" : ""),
+    update: (value) => setOnSaleOnly(value === "1"),
+    defaultValue: "",
+  },
+]
+
+// Builds the query string for the given filter values, omitting defaults
+// Parameters that are not filters (from `base`) are kept as they are
+export function buildFilterSearch(values, filters = URL_FILTERS, base = "") {
+  const params = new URLSearchParams(base)
+
+  filters.forEach(({ param, defaultValue }) => {
+    const value = values[param]
+    if (value === undefined || value === defaultValue || value === "") {
+      params.delete(param)
+    } else {
+      params.set(param, value)
+    }
+  })
+
+  const search = params.toString()
+  return search ? `?${search}` : ""
+}
+
+// Reads the current filter values from Redux state, keyed by URL parameter
+const readFilters = (state, filters) =>
+  Object.fromEntries(filters.map(({ param, select }) => [param, select(state)]))
+
+// Query string for the home page that carries the current filters, with optional overrides
+// Used to link back to "/" from other pages without dropping the shopper's context
+export function filterSearchFromState(state, overrides = {}, filters = URL_FILTERS) {
+  return buildFilterSearch({ ...readFilters(state, filters), ...overrides }, filters)
+}
+
+// Two-way sync between Redux filter state and the URL query string
+// URL -> Redux runs on every navigation (including back/forward)
+// Redux -> URL runs whenever a filter changes in the store
+export function useUrlFilters(filters = URL_FILTERS) {
+  const dispatch = useAppDispatch()
+  const store = useStore()
+  const [searchParams, setSearchParams] = useSearchParams()
+
+  // Latest URL parameters for the Redux -> URL effect, which must not re-run on URL changes
+  const searchParamsRef = useRef(searchParams)
+
+  // Subscribe to the filter values so the Redux -> URL effect re-runs on change
+  const values = useAppSelector((state) => filters.map(({ select }) => select(state)).join("\u0000"))
+
+  // URL -> Redux: apply parameters (or defaults when absent) to the store
+  useEffect(() => {
+    searchParamsRef.current = searchParams
+    const current = readFilters(store.getState(), filters)
+
+    filters.forEach(({ param, update, defaultValue }) => {
+      const value = searchParams.get(param) ?? defaultValue
+      if (current[param] !== value) {
+        dispatch(update(value))
+      }
+    })
+  }, [searchParams, filters, dispatch, store])
+
+  // Redux -> URL: write the latest store values back to the query string
+  // Values are read from the store rather than this render, so a URL that was
+  // just applied above is never overwritten with stale ones. URL changes are
+  // handled above, so the parameters are read from a ref rather than watched
+  useEffect(() => {
+    const searchParams = searchParamsRef.current
+    const next = readFilters(store.getState(), filters)
+    const changed = filters.filter(({ param, defaultValue }) => next[param] !== (searchParams.get(param) ?? defaultValue))
+
+    if (changed.length === 0) return
+
+    setSearchParams(buildFilterSearch(next, filters, searchParams))
+  }, [values, filters, setSearchParams, store])
+}
+
+// Updated: feat: Add useUrlFilters hook for shareable product filters
@@ -0,0 +1,179 @@
+// Hook for zooming and panning an image - wheel and pinch zoom, drag to pan,
+// and horizontal swipes while not zoomed
+
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from "react"
+
+// Zoom factor of each zoom in/out step, and the scale double click jumps to
+const ZOOM_STEP = 1.5
+const DOUBLE_CLICK_SCALE = 2.5
+
+// Horizontal distance a finger or mouse must travel to count as a swipe
+const SWIPE_DISTANCE = 50
+
+const UNZOOMED = { scale: 1, x: 0, y: 0 }
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+// Keeps the zoomed content covering the viewport: it can move by half of
+// the extra size on each axis
+const clampView = (view, rect) => {
+  const maxX = ((view.scale - 1) * rect.width) / 2
+  const maxY = ((view.scale - 1) * rect.height) / 2
+  return { scale: view.scale, x: clamp(view.x, -maxX, maxX), y: clamp(view.y, -maxY, maxY) }
+}
+
+// New view at `scale` that keeps the content under `point` (relative to the
+// viewport centre) in place
+const zoomAround = (view, scale, point) => {
+  const ratio = scale / view.scale
+  return {
+    scale,
+    x: point.x - ratio * (point.x - view.x),
+    y: point.y - ratio * (point.y - view.y),
+  }
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y)
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 })
+
+// Returns a callback ref for the viewport element, the current view, pointer
+// handlers for the viewport and zoom controls. `onSwipe("next" | "prev")` is
+// called for horizontal swipes while the content is not zoomed.
+export function useZoomPan({ maxScale = 4, onSwipe } = {}) {
+  const [element, setElement] = useState(null)
+  const [view, setView] = useState(UNZOOMED)
+  const [interacting, setInteracting] = useState(false)
+  const pointers = useRef(new Map())
+  const gesture = useRef(null)
+  const viewRef = useRef(view)
+  viewRef.current = view
+
+  // Point relative to the viewport centre
+  const toPoint = useCallback(
+    (clientX, clientY) => {
+      const rect = element.getBoundingClientRect()
+      return { x: clientX - rect.left - rect.width / 2, y: clientY - rect.top - rect.height / 2 }
+    },
+    [element],
+  )
+
+  const zoomTo = useCallback(
+    (scale, point = { x: 0, y: 0 }) => {
+      if (!element) return
+      const rect = element.getBoundingClientRect()
+      setView((current) => clampView(zoomAround(current, clamp(scale, 1, maxScale), point), rect))
+    },
+    [element, maxScale],
+  )
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    if (!element) return
+
+    const handleWheel = (event) => {
+      event.preventDefault()
+      const current = viewRef.current
+      zoomTo(current.scale * Math.exp(-event.deltaY * 0.002), toPoint(event.clientX, event.clientY))
+    }
+
+    element.addEventListener("wheel", handleWheel, { passive: false })
+    return () => element.removeEventListener("wheel", handleWheel)
+  }, [element, toPoint, zoomTo])
+
+  const startGesture = () => {
+    const [first, second] = [...pointers.current.values()]
+    gesture.current = second
+      ? { type: "pinch", view: viewRef.current, distance: distance(first, second), midpoint: midpoint(first, second) }
+      : { type: "drag", view: viewRef.current, start: first }
+  }
+
+  const onPointerDown = (event) => {
+    if (event.pointerType === "mouse" && event.button !== 0) return
+    event.currentTarget.setPointerCapture?.(event.pointerId)
+    pointers.current.set(event.pointerId, toPoint(event.clientX, event.clientY))
+    startGesture()
+    setInteracting(true)
+  }
+
+  const onPointerMove = (event) => {
+    if (!pointers.current.has(event.pointerId)) return
+    pointers.current.set(event.pointerId, toPoint(event.clientX, event.clientY))
+
+    const current = gesture.current
+    const rect = element.getBoundingClientRect()
+    const [first, second] = [...pointers.current.values()]
+
+    if (current?.type === "pinch" && second) {
+      const scale = clamp((current.view.scale * distance(first, second)) / current.distance, 1, maxScale)
+      const zoomed = zoomAround(current.view, scale, current.midpoint)
+      const center = midpoint(first, second)
+      setView(
+        clampView(
+          { scale, x: zoomed.x + center.x - current.midpoint.x, y: zoomed.y + center.y - current.midpoint.y },
+          rect,
+        ),
+      )
+    } else if (current?.type === "drag" && current.view.scale > 1) {
+      setView(
+        clampView(
+          {
+            scale: current.view.scale,
+            x: current.view.x + first.x - current.start.x,
+            y: current.view.y + first.y - current.start.y,
+          },
+          rect,
+        ),
+      )
+    }
+  }
+
+  const onPointerUp = (event) => {
+    const point = pointers.current.get(event.pointerId)
+    pointers.current.delete(event.pointerId)
+    const current = gesture.current
+
+    if (current?.type === "drag" && current.view.scale === 1 && point && pointers.current.size === 0) {
+      const dx = point.x - current.start.x
+      const dy = point.y - current.start.y
+      if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        onSwipe?.(dx < 0 ? "next" : "prev")
+      }
+    }
+
+    // A finger lifted from a pinch continues as a drag
+    if (pointers.current.size > 0) {
+      startGesture()
+    } else {
+      gesture.current = null
+      setInteracting(false)
+    }
+  }
+
+  const onDoubleClick = (event) => {
+    const point = toPoint(event.clientX, event.clientY)
+    zoomTo(viewRef.current.scale > 1 ? 1 : DOUBLE_CLICK_SCALE, point)
+  }
+
+  const reset = useCallback(() => setView(UNZOOMED), [])
+  const zoomIn = useCallback(() => zoomTo(viewRef.current.scale * ZOOM_STEP), [zoomTo])
+  const zoomOut = useCallback(() => zoomTo(viewRef.current.scale / ZOOM_STEP), [zoomTo])
+
+  return {
+    ref: setElement,
+    scale: view.scale,
+    maxScale,
+    style: {
+      transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`,
+      // Follow fingers and the mouse directly; animate button and wheel zoom
+      transition: interacting ? "none" : "transform 150ms ease-out",
+    },
+    handlers: { onPointerDown, onPointerMove, onPointerUp, onPointerCancel: onPointerUp, onDoubleClick },
+    zoomIn,
+    zoomOut,
+    reset,
+  }
+}
+
+// Updated: feat: Add useZoomPan hook for the image lightbox
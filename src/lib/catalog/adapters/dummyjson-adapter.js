@@ -0,0 +1,68 @@
+/**
+ * DummyJSON Catalog Adapter - ShoppyGlobe E-commerce
+ *
+ * Reads the product catalog from the DummyJSON REST API (or any service
+ * exposing the same endpoints under a different base URL).
+ */
+
+export const DUMMYJSON_BASE_URL = "https://dummyjson.com"
+
+/**
+ * Create DummyJSON Adapter
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - API root, defaults to https://dummyjson.com
+ * @returns {Object} Catalog adapter
+ */
+export function createDummyJsonAdapter({ baseUrl = DUMMYJSON_BASE_URL } = {}) {
+  const root = baseUrl.replace(/\/+$/, "")
+
+  /**
+   * Fetch JSON from the API and surface non-2xx responses as errors
+   *
+   * @param {string} path - Request path including query string
+   * @param {AbortSignal} [signal] - Abort signal for cancellation
+   * @param {string} failureMessage - Message used when the response is not ok
+   */
+  const request = async (path, signal, failureMessage) => {
+    const response = await fetch(`${root}${path}`, { signal })
+
+    if (!response.ok) {
+      throw new Error(failureMessage)
+    }
+
+    return response.json()
+  }
+
+  return {
+    name: "dummyjson",
+
+    async listProducts({ limit = 30, skip = 0, signal } = {}) {
+      const data = await request(`/products?limit=${limit}&skip=${skip}`, signal, "Failed to fetch products")
+      return { products: data.products, total: data.total, skip: data.skip, limit: data.limit }
+    },
+
+    async searchProducts(query, { limit = 30, skip = 0, signal } = {}) {
+      const q = encodeURIComponent(query)
+      const data = await request(`/products/search?q=${q}&limit=${limit}&skip=${skip}`, signal, "Search failed")
+      return { products: data.products, total: data.total, skip: data.skip, limit: data.limit }
+    },
+
+    async listCategories({ signal } = {}) {
+      const categories = await request("/products/categories", signal, "Failed to fetch categories")
+      return categories.map(({ slug, name }) => ({ slug, name }))
+    },
+
+    async listCategoryProducts(slug, { limit = 30, skip = 0, signal } = {}) {
+      const path = `/products/category/${encodeURIComponent(slug)}?limit=${limit}&skip=${skip}`
+      const data = await request(path, signal, "Failed to fetch category products")
+      return { products: data.products, total: data.total, skip: data.skip, limit: data.limit }
+    },
+
+    async getProduct(id, { signal } = {}) {
+      return request(`/products/${id}`, signal, "Product not found")
+    },
+  }
+}
+
+// Updated: feat: Add DummyJSON catalog adapter
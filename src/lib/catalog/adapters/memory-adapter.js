@@ -0,0 +1,112 @@
+/**
+ * In-Memory Catalog Adapter - ShoppyGlobe E-commerce
+ *
+ * Serves products from an array held in memory. Used for offline demos and
+ * as the backing store for the static JSON adapter once its file has loaded.
+ */
+
+import { fixtureProducts } from "../fixtures"
+
+/**
+ * Case-insensitive substring match across the searchable product fields
+ *
+ * @param {Object} product - Product to test
+ * @param {string} query - Search query
+ * @returns {boolean} True when any field contains the query
+ */
+const matchesQuery = (product, query) => {
+  const term = query.trim().toLowerCase()
+  const fields = [product.title, product.description, product.category, product.brand, ...(product.tags || [])]
+
+  return fields.some((field) => typeof field === "string" && field.toLowerCase().includes(term))
+}
+
+/**
+ * Turn a category slug into a display name ("skin-care" -> "Skin Care")
+ *
+ * @param {string} slug - Category slug
+ * @returns {string} Display name
+ */
+const categoryName = (slug) =>
+  slug
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ")
+
+/**
+ * Create Local Adapter
+ *
+ * Builds an adapter around an async product loader so both the in-memory
+ * fixture and the static JSON file share the same paging, search and lookup rules.
+ *
+ * @param {string} name - Adapter name for diagnostics
+ * @param {Function} loadProducts - Returns a promise of the full product array
+ * @returns {Object} Catalog adapter
+ */
+export function createLocalAdapter(name, loadProducts) {
+  return {
+    name,
+
+    async listProducts({ limit = 30, skip = 0 } = {}) {
+      const products = await loadProducts()
+      return {
+        products: products.slice(skip, skip + limit),
+        total: products.length,
+        skip,
+        limit,
+      }
+    },
+
+    async searchProducts(query, { limit = 30, skip = 0 } = {}) {
+      const products = await loadProducts()
+      const matches = products.filter((product) => matchesQuery(product, query))
+      return {
+        products: matches.slice(skip, skip + limit),
+        total: matches.length,
+        skip,
+        limit,
+      }
+    },
+
+    async listCategories() {
+      const products = await loadProducts()
+      const slugs = [...new Set(products.map((product) => product.category))]
+      return slugs.map((slug) => ({ slug, name: categoryName(slug) }))
+    },
+
+    async listCategoryProducts(slug, { limit = 30, skip = 0 } = {}) {
+      const products = await loadProducts()
+      const matches = products.filter((product) => product.category === slug)
+      return {
+        products: matches.slice(skip, skip + limit),
+        total: matches.length,
+        skip,
+        limit,
+      }
+    },
+
+    async getProduct(id) {
+      const products = await loadProducts()
+      const product = products.find((item) => String(item.id) === String(id))
+
+      if (!product) {
+        throw new Error("Product not found")
+      }
+
+      return product
+    },
+  }
+}
+
+/**
+ * Create Memory Adapter
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.products] - Products to serve, defaults to the bundled fixture
+ * @returns {Object} Catalog adapter
+ */
+export function createMemoryAdapter({ products = fixtureProducts } = {}) {
+  return createLocalAdapter("memory", async () => products)
+}
+
+// Updated: feat: Add in-memory catalog adapter
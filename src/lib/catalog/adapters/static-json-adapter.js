@@ -0,0 +1,46 @@
+/**
+ * Static JSON Catalog Adapter - ShoppyGlobe E-commerce
+ *
+ * Loads the whole catalog from a single JSON file (for example one placed in
+ * /public) and serves it locally. The file may be a plain product array or a
+ * DummyJSON-style `{ products: [...] }` dump.
+ */
+
+import { createLocalAdapter } from "./memory-adapter"
+
+export const STATIC_CATALOG_URL = "/catalog.json"
+
+/**
+ * Create Static JSON Adapter
+ *
+ * The file is fetched once and cached; a failed load is retried on the next call.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url] - Location of the catalog file
+ * @returns {Object} Catalog adapter
+ */
+export function createStaticJsonAdapter({ url = STATIC_CATALOG_URL } = {}) {
+  let pending = null
+
+  const loadProducts = () => {
+    if (!pending) {
+      pending = fetch(url)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error("Failed to load catalog file")
+          }
+          return response.json()
+        })
+        .then((data) => (Array.isArray(data) ? data : data.products || []))
+        .catch((err) => {
+          pending = null
+          throw err
+        })
+    }
+    return pending
+  }
+
+  return createLocalAdapter("static", loadProducts)
+}
+
+// Updated: feat: Add static JSON catalog adapter
@@ -0,0 +1,120 @@
+/**
+ * Catalog Client - ShoppyGlobe E-commerce
+ *
+ * Single entry point for reading product data. Components and hooks talk to
+ * the exported `catalog` instead of calling an API directly, and the adapter
+ * behind it is chosen by configuration:
+ *
+ * - VITE_CATALOG_SOURCE: "dummyjson" (default) | "static" | "memory"
+ * - VITE_CATALOG_URL: API root for "dummyjson", or file URL for "static"
+ */
+
+import { createDummyJsonAdapter } from "./adapters/dummyjson-adapter"
+import { createStaticJsonAdapter } from "./adapters/static-json-adapter"
+import { createMemoryAdapter } from "./adapters/memory-adapter"
+
+/**
+ * Adapter factories keyed by the value of VITE_CATALOG_SOURCE
+ */
+const adapterFactories = {
+  dummyjson: createDummyJsonAdapter,
+  static: createStaticJsonAdapter,
+  memory: createMemoryAdapter,
+}
+
+/**
+ * Create Catalog Adapter From Configuration
+ *
+ * @param {Object} [env] - Environment values, defaults to import.meta.env
+ * @returns {Object} Catalog adapter
+ */
+export function createCatalogAdapter(env = import.meta.env) {
+  const source = env.VITE_CATALOG_SOURCE || "dummyjson"
+  const factory = adapterFactories[source]
+
+  if (!factory) {
+    throw new Error(
+      `Unknown catalog source "${source}". Expected one of: ${Object.keys(adapterFactories).join(", ")}`,
+    )
+  }
+
+  const options = {}
+  if (env.VITE_CATALOG_URL) {
+    options[source === "static" ? "url" : "baseUrl"] = env.VITE_CATALOG_URL
+  }
+
+  return factory(options)
+}
+
+/**
+ * Create Catalog Client
+ *
+ * Wraps an adapter with the methods the app relies on.
+ *
+ * @param {Object} adapter - Catalog adapter
+ * @returns {Object} Catalog client
+ */
+export function createCatalogClient(adapter) {
+  return {
+    source: adapter.name,
+
+    /**
+     * List a page of products
+     *
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Page size
+     * @param {number} [options.skip] - Number of products to skip
+     * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+     * @returns {Promise<{products: Array, total: number, skip: number, limit: number}>}
+     */
+    listProducts: (options) => adapter.listProducts(options),
+
+    /**
+     * Search the whole catalog
+     *
+     * @param {string} query - Search query
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Page size
+     * @param {number} [options.skip] - Number of matches to skip
+     * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+     * @returns {Promise<{products: Array, total: number, skip: number, limit: number}>}
+     */
+    searchProducts: (query, options) => adapter.searchProducts(query, options),
+
+    /**
+     * List product categories
+     *
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+     * @returns {Promise<Array<{slug: string, name: string}>>}
+     */
+    listCategories: (options) => adapter.listCategories(options),
+
+    /**
+     * List a page of products in one category
+     *
+     * @param {string} slug - Category slug
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Page size
+     * @param {number} [options.skip] - Number of products to skip
+     * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+     * @returns {Promise<{products: Array, total: number, skip: number, limit: number}>}
+     */
+    listCategoryProducts: (slug, options) => adapter.listCategoryProducts(slug, options),
+
+    /**
+     * Get a single product by ID
+     *
+     * @param {number|string} id - Product ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Abort signal for cancellation
+     * @returns {Promise<Object>} Product
+     */
+    getProduct: (id, options) => adapter.getProduct(id, options),
+  }
+}
+
+// Shared client configured from the environment
+export const catalog = createCatalogClient(createCatalogAdapter())
+
+// Updated: feat: Add pluggable catalog client
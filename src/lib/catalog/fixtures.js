@@ -0,0 +1,159 @@
+/**
+ * Catalog Fixture - ShoppyGlobe E-commerce
+ *
+ * A small product set in the DummyJSON shape, served by the in-memory adapter
+ * for offline demos and local development.
+ */
+
+/**
+ * Build a fixture product with the fields every adapter is expected to return
+ *
+ * @param {Object} fields - Product-specific fields
+ * @returns {Object} Product
+ */
+const product = (fields) => ({
+  discountPercentage: 0,
+  tags: [],
+  images: ["/placeholder.jpg"],
+  thumbnail: "/placeholder.jpg",
+  reviews: [],
+  ...fields,
+})
+
+/**
+ * Build a fixture review in the DummyJSON shape
+ *
+ * @param {number} rating - Stars given, 1 to 5
+ * @param {string} comment - Review text
+ * @param {string} date - ISO 8601 date
+ * @param {string} reviewerName - Reviewer's name
+ * @returns {Object} Review
+ */
+const review = (rating, comment, date, reviewerName) => ({
+  rating,
+  comment,
+  date,
+  reviewerName,
+  reviewerEmail: `${reviewerName.toLowerCase().replace(/\s+/g, ".")}@example.com`,
+})
+
+export const fixtureProducts = [
+  product({
+    id: 1,
+    title: "Aurora Smartphone X",
+    description: "6.5-inch OLED display, triple camera and all-day battery.",
+    category: "smartphones",
+    price: 699.99,
+    discountPercentage: 8.5,
+    rating: 4.6,
+    stock: 42,
+    brand: "Aurora",
+    tags: ["smartphones", "android"],
+    sku: "AUR-SPX-001",
+    weight: 0.19,
+    dimensions: { width: 7.4, height: 15.8, depth: 0.8 },
+    warrantyInformation: "2 year warranty",
+    shippingInformation: "Ships in 1-2 business days",
+    returnPolicy: "30 days return policy",
+    availabilityStatus: "In Stock",
+    minimumOrderQuantity: 1,
+    reviews: [
+      review(5, "Gorgeous screen and the battery easily lasts a full day.", "2024-05-23T08:56:21.618Z", "Lena Park"),
+      review(4, "Great cameras, though it runs warm while charging.", "2024-05-21T14:02:10.000Z", "Omar Haddad"),
+      review(5, "Fast, smooth and the display is stunning.", "2024-05-18T19:45:33.000Z", "Priya Nair"),
+    ],
+  }),
+  product({
+    id: 2,
+    title: "Aurora Smartphone Lite",
+    description: "Compact phone with a bright display and fast charging.",
+    category: "smartphones",
+    price: 349.99,
+    rating: 4.2,
+    stock: 0,
+    brand: "Aurora",
+    tags: ["smartphones", "android"],
+  }),
+  product({
+    id: 3,
+    title: "Nimbus Ultrabook 14",
+    description: "Thin and light laptop with a 14-inch screen and 16GB of memory.",
+    category: "laptops",
+    price: 1199,
+    discountPercentage: 12,
+    rating: 4.7,
+    stock: 15,
+    brand: "Nimbus",
+    tags: ["laptops", "computers"],
+  }),
+  product({
+    id: 4,
+    title: "Nimbus Workstation 16",
+    description: "Performance laptop for creative work with a dedicated graphics card.",
+    category: "laptops",
+    price: 2199,
+    rating: 4.4,
+    stock: 6,
+    brand: "Nimbus",
+    tags: ["laptops", "computers"],
+  }),
+  product({
+    id: 5,
+    title: "Hydra Daily Moisturizer",
+    description: "Lightweight moisturizer with hyaluronic acid for all skin types.",
+    category: "skin-care",
+    price: 18.5,
+    discountPercentage: 15,
+    rating: 4.1,
+    stock: 120,
+    brand: "Hydra",
+    tags: ["skin care", "moisturizer"],
+  }),
+  product({
+    id: 6,
+    title: "Hydra Night Serum",
+    description: "Overnight serum that restores hydration while you sleep.",
+    category: "skin-care",
+    price: 27,
+    rating: 3.9,
+    stock: 64,
+    brand: "Hydra",
+    tags: ["skin care", "serum"],
+  }),
+  product({
+    id: 7,
+    title: "Orbit Wireless Earbuds",
+    description: "Noise-cancelling earbuds with a pocket-sized charging case.",
+    category: "mobile-accessories",
+    price: 129,
+    discountPercentage: 5,
+    rating: 4.3,
+    stock: 80,
+    brand: "Orbit",
+    tags: ["audio", "wireless"],
+    sku: "ORB-EBD-007",
+    weight: 0.05,
+    warrantyInformation: "1 year warranty",
+    shippingInformation: "Ships overnight",
+    returnPolicy: "No return policy",
+    availabilityStatus: "In Stock",
+    minimumOrderQuantity: 2,
+    reviews: [
+      review(4, "Noise cancelling works well on the train.", "2024-05-20T07:30:00.000Z", "Tom Becker"),
+      review(3, "Sound is good but the fit is a little loose.", "2024-05-12T16:12:45.000Z", "Ana Souza"),
+    ],
+  }),
+  product({
+    id: 8,
+    title: "Orbit Fast Charger",
+    description: "65W USB-C charger for phones, tablets and laptops.",
+    category: "mobile-accessories",
+    price: 39,
+    rating: 4.5,
+    stock: 200,
+    brand: "Orbit",
+    tags: ["chargers", "usb-c"],
+  }),
+]
+
+// Updated: feat: Add in-memory catalog fixture
@@ -5,10 +5,12 @@
  * - Cart items with product details and quantities
  * - Total price calculation
  * - Add, remove, update, and clear operations
+ * - Quantities kept within each product's stock and minimum order quantity
  * - Immutable state updates using Redux Toolkit
  */
 
 import { createSlice } from "@reduxjs/toolkit"
+import { moveToCart } from "../wishlist/wishlist-slice"
 
 /**
  * Cart Item Structure
@@ -19,6 +21,7 @@ import { createSlice } from "@reduxjs/toolkit"
  * - price: Unit price of the product
  * - image: Product image URL for display
  * - quantity: Number of items in cart
+ * - stock, minimumOrderQuantity: Limits for the quantity, when known
  */
 /**
  * Cart Item Structure
@@ -29,6 +32,8 @@ import { createSlice } from "@reduxjs/toolkit"
  * @property {number} price - Unit price of the product
  * @property {string} image - Product image URL for display
  * @property {number} quantity - Number of items in cart
+ * @property {number} [stock] - Units available; no upper limit when unknown
+ * @property {number} [minimumOrderQuantity] - Fewest units that can be ordered (default 1)
  */
 
 /**
@@ -56,11 +61,145 @@ const initialState = {
   total: 0,
 }
 
+/**
+ * Add Plan
+ *
+ * @typedef {Object} AddPlan
+ * @property {number} quantity - Cart quantity after the add
+ * @property {number} added - Units actually added
+ * @property {number} min - Minimum order quantity
+ * @property {number} max - Units in stock, Infinity when unknown
+ * @property {boolean} unavailable - The product cannot be ordered, so nothing is added
+ * @property {boolean} removed - The product was in the cart and is taken out because it cannot be ordered
+ * @property {boolean} capped - Fewer units than asked for were added because of the stock
+ * @property {boolean} reduced - The cart held more than the stock now allows, so its quantity is lowered
+ * @property {boolean} raisedToMinimum - More units than asked for were added to reach the minimum
+ */
+
+/**
+ * Quantity Limits
+ *
+ * @param {{stock?: number, minimumOrderQuantity?: number}} product - Product or cart item
+ * @returns {{min: number, max: number}} Allowed quantities; max is Infinity when the stock is unknown
+ *   and below min when the product cannot be ordered
+ */
+export const quantityLimits = (product) => ({
+  min: Math.max(1, product.minimumOrderQuantity ?? 1),
+  max: typeof product.stock === "number" ? Math.max(0, product.stock) : Infinity,
+})
+
+/**
+ * Plan Add
+ *
+ * Works out what adding a product does to its cart quantity: the result
+ * is raised to the minimum order quantity and capped at the stock. A cart
+ * quantity above a stock that has since dropped is lowered to the stock.
+ * An item that can no longer be ordered (stock below the minimum) is
+ * planned out of the cart.
+ *
+ * @param {number} currentQuantity - Units already in the cart (0 when none)
+ * @param {{stock?: number, minimumOrderQuantity?: number}} product - Product being added
+ * @param {number} [requested=1] - Units the shopper asked for
+ * @returns {AddPlan} Cart quantity afterwards, units actually added, and why it differs from the request
+ */
+export function planAdd(currentQuantity, product, requested = 1) {
+  const { min, max } = quantityLimits(product)
+
+  if (max < min) {
+    return {
+      quantity: 0,
+      added: 0,
+      min,
+      max,
+      unavailable: true,
+      removed: currentQuantity > 0,
+      capped: false,
+      reduced: false,
+      raisedToMinimum: false,
+    }
+  }
+
+  const wanted = Math.max(currentQuantity + requested, min)
+  const quantity = Math.min(wanted, max)
+
+  return {
+    quantity,
+    added: Math.max(0, quantity - currentQuantity),
+    min,
+    max,
+    unavailable: false,
+    removed: false,
+    capped: quantity < wanted,
+    reduced: quantity < currentQuantity,
+    raisedToMinimum: currentQuantity + requested < min,
+  }
+}
+
+/**
+ * Limits for adding a product, falling back to those stored on its cart item
+ * when the product does not carry them (e.g. a saved wishlist entry)
+ */
+const limitsFor = (product, existingItem) => ({
+  stock: product.stock ?? existingItem?.stock,
+  minimumOrderQuantity: product.minimumOrderQuantity ?? existingItem?.minimumOrderQuantity,
+})
+
+/**
+ * Select Add Plan
+ *
+ * What `addToCart` (or a wishlist `moveToCart`) would do for a product
+ * with the current cart, so callers can tell the shopper before dispatching.
+ *
+ * @param {RootState} state - Redux root state
+ * @param {{id: number, stock?: number, minimumOrderQuantity?: number}} product - Product being added
+ * @param {number} [quantity=1] - Units the shopper asked for
+ * @returns {AddPlan} Outcome of the add
+ */
+export const selectAddPlan = (state, product, quantity = 1) => {
+  const existingItem = state.cart.items.find((item) => item.id === product.id)
+  return planAdd(existingItem?.quantity ?? 0, limitsFor(product, existingItem), quantity)
+}
+
+/**
+ * Add Item
+ *
+ * Adds a product to the cart, or more of it if it is already there,
+ * within its stock and minimum order quantity, and recalculates the total
+ * price. The item's limits are refreshed from the product, and an item that
+ * can no longer be ordered is removed.
+ *
+ * @param {CartState} state - Current cart state
+ * @param {Omit<CartItem, "quantity">} product - Product details
+ * @param {number} [quantity=1] - Units to add
+ */
+const addItem = (state, product, quantity = 1) => {
+  // Check if item already exists in cart
+  const existingItem = state.items.find((item) => item.id === product.id)
+  const limits = limitsFor(product, existingItem)
+  const plan = planAdd(existingItem?.quantity ?? 0, limits, quantity)
+
+  if (plan.removed) {
+    // The product sold out (or its stock fell below the minimum) since it was added
+    state.items = state.items.filter((item) => item !== existingItem)
+  } else if (existingItem) {
+    // Increase quantity if item exists, or lower it to a reduced stock
+    Object.assign(existingItem, limits, { quantity: plan.quantity })
+  } else if (plan.added > 0) {
+    // Add new item with the allowed quantity
+    const { id, title, price, image } = product
+    state.items.push({ id, title, price, image, ...limits, quantity: plan.quantity })
+  }
+
+  // Recalculate total price
+  state.total = state.items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+}
+
 /**
  * Cart Redux Slice
  * 
  * Creates a Redux slice for cart management with the following actions:
  * - addToCart: Adds a product to cart or increments quantity
+ * - (wishlist) moveToCart: Adds a product moved out of the wishlist
  * - removeFromCart: Removes a product from cart
  * - updateQuantity: Updates the quantity of a cart item
  * - clearCart: Empties the entire cart
@@ -76,22 +215,11 @@ const cartSlice = createSlice({
      * Automatically recalculates the total price.
      * 
      * @param state - Current cart state
-     * @param action - Payload containing product details (without quantity)
+     * @param action - Payload containing product details, and optionally the quantity to add (default 1)
      */
     addToCart: (state, action) => {
-      // Check if item already exists in cart
-      const existingItem = state.items.find((item) => item.id === action.payload.id)
-
-      if (existingItem) {
-        // Increment quantity if item exists
-        existingItem.quantity += 1
-      } else {
-        // Add new item with quantity 1
-        state.items.push({ ...action.payload, quantity: 1 })
-      }
-
-      // Recalculate total price
-      state.total = state.items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+      const quantity = action.payload.quantity
+      addItem(state, action.payload, Number.isInteger(quantity) && quantity > 0 ? quantity : 1)
     },
 
     /**
@@ -115,7 +243,9 @@ const cartSlice = createSlice({
      * Update Quantity Action
      * 
      * Updates the quantity of a specific cart item.
-     * Ensures quantity is at least 1.
+     * Keeps the quantity between the minimum order quantity (at least 1)
+     * and the stock. An item whose stock is below its minimum cannot be
+     * ordered and is removed rather than kept above the stock.
      * Automatically recalculates the total price.
      * 
      * @param state - Current cart state
@@ -126,7 +256,13 @@ const cartSlice = createSlice({
       
       // Only update if item exists and quantity is valid (>= 1)
       if (item && action.payload.quantity >= 1) {
-        item.quantity = action.payload.quantity
+        const { min, max } = quantityLimits(item)
+
+        if (max < min) {
+          state.items = state.items.filter((other) => other !== item)
+        } else {
+          item.quantity = Math.max(min, Math.min(action.payload.quantity, max))
+        }
       }
       
       // Recalculate total price
@@ -146,6 +282,12 @@ const cartSlice = createSlice({
       state.total = 0
     },
   },
+  extraReducers: (builder) => {
+    // A product moved out of the wishlist lands in the cart
+    builder.addCase(moveToCart, (state, action) => {
+      addItem(state, action.payload)
+    })
+  },
 })
 
 // Export action creators for use in components
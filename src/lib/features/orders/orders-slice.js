@@ -0,0 +1,112 @@
+/**
+ * Orders Redux Slice - ShoppyGlobe E-commerce
+ *
+ * This slice records the orders placed from this browser:
+ * - Each order keeps a snapshot of its items and the amount paid
+ * - Newest first, capped at ORDERS_LIMIT orders
+ * - Saved in localStorage by the store; "Frequently bought together" is
+ *   built from these orders
+ */
+
+import { createSlice } from "@reduxjs/toolkit"
+
+/**
+ * Order Item Structure
+ *
+ * @typedef {Object} OrderItem
+ * @property {number} id - Product identifier
+ * @property {string} title - Product name
+ * @property {number} price - Unit price paid
+ * @property {string} image - Product image URL
+ * @property {number} quantity - Units ordered
+ */
+
+/**
+ * Order Structure
+ *
+ * @typedef {Object} Order
+ * @property {string} id - Order identifier
+ * @property {OrderItem[]} items - Ordered products
+ * @property {number} total - Amount paid, including tax and shipping
+ * @property {number} placedAt - When the order was placed (ms since epoch)
+ */
+
+/**
+ * localStorage key the store saves the orders under
+ */
+export const ORDERS_STORAGE_KEY = "shoppyglobe-orders"
+
+/**
+ * Number of orders kept, newest first
+ */
+export const ORDERS_LIMIT = 50
+
+const initialState = {
+  items: [],
+}
+
+/**
+ * Revive Orders
+ *
+ * Validates saved orders before they are loaded into the store.
+ *
+ * @param {unknown} saved - Parsed localStorage value
+ * @returns {{items: Order[]}|undefined} Slice state, or undefined when unusable
+ */
+export const reviveOrders = (saved) => {
+  if (!Array.isArray(saved?.items)) return undefined
+
+  return {
+    items: saved.items
+      .filter((order) => order && typeof order.id === "string" && Array.isArray(order.items))
+      .map((order) => ({
+        ...order,
+        items: order.items.filter((item) => item && typeof item.id === "number" && typeof item.title === "string"),
+      }))
+      .slice(0, ORDERS_LIMIT),
+  }
+}
+
+/**
+ * Orders Redux Slice
+ *
+ * Actions:
+ * - placeOrder: Records an order from the cart items
+ */
+const ordersSlice = createSlice({
+  name: "orders",
+  initialState,
+  reducers: {
+    placeOrder: {
+      reducer: (state, action) => {
+        state.items = [action.payload, ...state.items].slice(0, ORDERS_LIMIT)
+      },
+      prepare: ({ items, total }) => {
+        const placedAt = Date.now()
+
+        return {
+          payload: {
+            id: `${placedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            items: items.map(({ id, title, price, image, quantity }) => ({ id, title, price, image, quantity })),
+            total,
+            placedAt,
+          },
+        }
+      },
+    },
+  },
+})
+
+export const { placeOrder } = ordersSlice.actions
+
+/**
+ * Select Orders
+ *
+ * @param {RootState} state - Redux root state
+ * @returns {Order[]} Placed orders, newest first
+ */
+export const selectOrders = (state) => state.orders.items
+
+export default ordersSlice.reducer
+
+// Updated: feat: Add orders Redux slice
@@ -0,0 +1,169 @@
+/**
+ * Search Merchandising - ShoppyGlobe E-commerce
+ *
+ * Applies the merchandisers' rules from `merchandising-rules.json` to a
+ * search query before anything is ranked:
+ * - Synonyms: a query word also matches other words ("phone" → "smartphones")
+ * - Pins: products listed first for a query, in the order given
+ * - Boosts: products whose relevance is multiplied for a query
+ * - Redirects: queries that open a category page instead of results
+ *
+ * Synonyms match single query words; pins, boosts and redirects match the
+ * whole query. Matching ignores letter case, accents and punctuation.
+ * Product ids belong to one catalog, so a rule can be limited to the
+ * catalog sources listed in its `catalogs`.
+ */
+
+import merchandisingRules from "./merchandising-rules.json"
+import { tokenize } from "./search-ranking"
+
+/**
+ * Merchandising Rule Set
+ *
+ * Every rule may also list `catalogs`, the catalog sources it applies to;
+ * without it the rule applies to every catalog.
+ *
+ * @typedef {Object} MerchandisingRules
+ * @property {Array<{id: string, match: string[], expandTo: string[]}>} [synonyms] - Extra words for query words
+ * @property {Array<{id: string, match: string[], productIds: number[]}>} [pins] - Products shown first
+ * @property {Array<{id: string, match: string[], productIds: number[], factor: number}>} [boosts] - Relevance multipliers
+ * @property {Array<{id: string, match: string[], category: string}>} [redirects] - Category pages for queries
+ */
+
+// Catalog source in use, defaulting as the catalog client does
+const ACTIVE_CATALOG = import.meta.env.VITE_CATALOG_SOURCE || "dummyjson"
+
+/**
+ * Resolved Rules For A Query
+ *
+ * @typedef {Object} ResolvedRules
+ * @property {string[][]} termGroups - One group per query word: the word and its synonyms
+ * @property {number[]} pinnedIds - Product ids to list first, in order
+ * @property {Map<number, number>} boosts - Relevance multiplier by product id
+ * @property {string|null} redirect - Category slug to open instead of searching
+ * @property {Array<{id: string, type: string, detail: string}>} fired - Rules that apply, for debugging
+ */
+
+/**
+ * Normalize Query
+ *
+ * @param {string} query - Raw query
+ * @returns {string} Lowercased words joined by single spaces
+ */
+export const normalizeQuery = (query) => tokenize(query).join(" ")
+
+/**
+ * Whole-query rules that list the query in `match`
+ */
+const rulesFor = (rules, query) => rules.filter((rule) => rule.match.some((match) => normalizeQuery(match) === query))
+
+/**
+ * Rules of one type that apply to the catalog
+ */
+const forCatalog = (rules = [], catalog) => rules.filter((rule) => !rule.catalogs || rule.catalogs.includes(catalog))
+
+/**
+ * Resolve Rules
+ *
+ * @param {string} query - Search query
+ * @param {MerchandisingRules} [ruleSet] - Rule set, the bundled JSON by default
+ * @param {string} [catalog] - Catalog source, the configured one by default
+ * @returns {ResolvedRules} Rules that apply to the query
+ */
+export function resolveRules(query, ruleSet = merchandisingRules, catalog = ACTIVE_CATALOG) {
+  const normalized = normalizeQuery(query)
+  const fired = []
+  const rules = {
+    synonyms: forCatalog(ruleSet.synonyms, catalog),
+    pins: forCatalog(ruleSet.pins, catalog),
+    boosts: forCatalog(ruleSet.boosts, catalog),
+    redirects: forCatalog(ruleSet.redirects, catalog),
+  }
+
+  const termGroups = tokenize(query).map((term) => {
+    const group = [term]
+    rules.synonyms.forEach((rule) => {
+      if (!rule.match.some((match) => normalizeQuery(match) === term)) return
+
+      const extra = rule.expandTo.flatMap(tokenize).filter((word) => !group.includes(word))
+      group.push(...extra)
+      fired.push({ id: rule.id, type: "synonym", detail: `${term} → ${rule.expandTo.join(", ")}` })
+    })
+    return group
+  })
+
+  const pinnedIds = []
+  rulesFor(rules.pins, normalized).forEach((rule) => {
+    rule.productIds.forEach((id) => {
+      if (!pinnedIds.includes(id)) pinnedIds.push(id)
+    })
+    fired.push({ id: rule.id, type: "pin", detail: `pinned #${rule.productIds.join(", #")}` })
+  })
+
+  const boosts = new Map()
+  rulesFor(rules.boosts, normalized).forEach((rule) => {
+    rule.productIds.forEach((id) => boosts.set(id, (boosts.get(id) ?? 1) * rule.factor))
+    fired.push({ id: rule.id, type: "boost", detail: `boosted #${rule.productIds.join(", #")} ×${rule.factor}` })
+  })
+
+  const redirectRule = rulesFor(rules.redirects, normalized)[0]
+  if (redirectRule) {
+    fired.push({ id: redirectRule.id, type: "redirect", detail: `redirect to /category/${redirectRule.category}` })
+  }
+
+  return { termGroups, pinnedIds, boosts, redirect: redirectRule?.category ?? null, fired }
+}
+
+// Recently resolved queries; the query engine asks once per product
+const resolvedCache = new Map()
+const RESOLVED_CACHE_SIZE = 50
+
+/**
+ * Rules For Query
+ *
+ * Cached `resolveRules` with the bundled rule set.
+ *
+ * @param {string} query - Search query
+ * @returns {ResolvedRules} Rules that apply to the query
+ */
+export const rulesForQuery = (query) => {
+  if (!resolvedCache.has(query)) {
+    if (resolvedCache.size >= RESOLVED_CACHE_SIZE) resolvedCache.delete(resolvedCache.keys().next().value)
+    resolvedCache.set(query, resolveRules(query))
+  }
+  return resolvedCache.get(query)
+}
+
+// Pinned products rank above any scored match
+const PIN_SCORE = 1e6
+
+/**
+ * Ranking Score
+ *
+ * Final relevance for a product: pinned products first (in pin order),
+ * then the match score times any boost.
+ *
+ * @param {number} id - Product id
+ * @param {number} score - Match score, 0 when the product did not match
+ * @param {ResolvedRules} resolved - Rules for the query
+ * @returns {number} Score to rank by, 0 when the product is not a result
+ */
+export const rankingScore = (id, score, resolved) => {
+  const pin = resolved.pinnedIds.indexOf(id)
+  if (pin >= 0) return PIN_SCORE * (resolved.pinnedIds.length - pin)
+  return score * (resolved.boosts.get(id) ?? 1)
+}
+
+/**
+ * Search Debug Mode
+ *
+ * Shows which merchandising rules fired. Enabled with VITE_SEARCH_DEBUG=true
+ * or a `debug=search` URL parameter.
+ *
+ * @param {string} [search] - URL query string to check
+ * @returns {boolean} Whether debug output should be shown
+ */
+export const isSearchDebugEnabled = (search = typeof window === "undefined" ? "" : window.location.search) =>
+  import.meta.env.VITE_SEARCH_DEBUG === "true" || new URLSearchParams(search).get("debug") === "search"
+
+// Updated: feat: Add merchandising rules for search
@@ -0,0 +1,95 @@
+/**
+ * Product Specifications - ShoppyGlobe E-commerce
+ *
+ * Turns the optional catalog fields into label/value rows for the detail
+ * page tabs. Fields the catalog leaves out, or sends empty, produce no row.
+ */
+
+/**
+ * Units the catalog reports weight and dimensions in
+ */
+export const SPEC_UNITS = { weight: "kg", length: "cm" }
+
+const numberFormat = new Intl.NumberFormat("en-US", { maximumFractionDigits: 2 })
+
+/**
+ * Specification Row
+ *
+ * @typedef {Object} SpecRow
+ * @property {string} label - Row label
+ * @property {string} value - Formatted value
+ */
+
+const isPositive = (value) => typeof value === "number" && Number.isFinite(value) && value > 0
+
+const hasText = (value) => typeof value === "string" && value.trim() !== ""
+
+/**
+ * Format Weight
+ *
+ * @param {number} [weight] - Weight in SPEC_UNITS.weight
+ * @returns {string|null} Weight with its unit, or null when missing
+ */
+export const formatWeight = (weight) => (isPositive(weight) ? `${numberFormat.format(weight)} ${SPEC_UNITS.weight}` : null)
+
+/**
+ * Format Dimensions
+ *
+ * @param {{width?: number, height?: number, depth?: number}} [dimensions] - Sizes in SPEC_UNITS.length
+ * @returns {string|null} "W × H × D cm", or null when any size is missing
+ */
+export function formatDimensions(dimensions) {
+  const sizes = [dimensions?.width, dimensions?.height, dimensions?.depth]
+  if (!sizes.every(isPositive)) return null
+
+  return `${sizes.map((size) => numberFormat.format(size)).join(" × ")} ${SPEC_UNITS.length} (W × H × D)`
+}
+
+/**
+ * Category slug as words, like "mobile-accessories" → "Mobile accessories"
+ */
+const categoryLabel = (slug) => slug.replace(/-/g, " ").replace(/^\w/, (letter) => letter.toUpperCase())
+
+/**
+ * Keep rows whose value is present
+ */
+const presentRows = (rows) => rows.filter(({ value }) => value !== null && value !== undefined && value !== "")
+
+/**
+ * Product Specifications
+ *
+ * @param {Product} product - Catalog product
+ * @returns {SpecRow[]} Specification rows, in display order
+ */
+export function productSpecifications(product) {
+  return presentRows([
+    { label: "Brand", value: hasText(product.brand) ? product.brand : null },
+    { label: "Category", value: hasText(product.category) ? categoryLabel(product.category) : null },
+    { label: "SKU", value: hasText(product.sku) ? product.sku : null },
+    { label: "Weight", value: formatWeight(product.weight) },
+    { label: "Dimensions", value: formatDimensions(product.dimensions) },
+    { label: "Warranty", value: hasText(product.warrantyInformation) ? product.warrantyInformation : null },
+    { label: "Availability", value: hasText(product.availabilityStatus) ? product.availabilityStatus : null },
+    {
+      label: "Minimum order",
+      value: isPositive(product.minimumOrderQuantity)
+        ? `${product.minimumOrderQuantity} ${product.minimumOrderQuantity === 1 ? "unit" : "units"}`
+        : null,
+    },
+  ])
+}
+
+/**
+ * Shipping And Returns
+ *
+ * @param {Product} product - Catalog product
+ * @returns {SpecRow[]} Shipping and returns rows, in display order
+ */
+export function shippingAndReturns(product) {
+  return presentRows([
+    { label: "Shipping", value: hasText(product.shippingInformation) ? product.shippingInformation : null },
+    { label: "Returns", value: hasText(product.returnPolicy) ? product.returnPolicy : null },
+  ])
+}
+
+// Updated: feat: Add product specification and shipping rows
@@ -0,0 +1,138 @@
+/**
+ * Products API Slice - ShoppyGlobe E-commerce
+ *
+ * RTK Query endpoints for catalog data. Requests go through the catalog
+ * client, so the configured adapter (DummyJSON, static file or memory) is
+ * used everywhere. RTK Query provides:
+ * - Request deduplication for identical in-flight queries
+ * - A shared cache keyed by query arguments and tagged per product
+ * - Background refetch on remount (once data is stale), focus and reconnect
+ */
+
+import { createApi, fakeBaseQuery } from "@reduxjs/toolkit/query/react"
+import { catalog } from "../../catalog/catalog-client"
+
+// Seconds after which cached data is refetched when a component subscribes again
+export const PRODUCTS_STALE_TIME = 60
+
+// Seconds an unused cache entry is kept before it is removed
+export const PRODUCTS_CACHE_TIME = 300
+
+// Products per page when browsing the catalog
+export const PRODUCTS_PAGE_SIZE = 24
+
+// Matches requested per page from the search endpoint
+export const SEARCH_RESULTS_LIMIT = 100
+
+// Maximum number of products requested for a category landing page
+export const CATEGORY_PRODUCTS_LIMIT = 100
+
+// Seconds the category list is cached; it rarely changes
+const CATEGORIES_CACHE_TIME = 3600
+
+/**
+ * Convert a thrown error into an RTK Query error object
+ *
+ * @param {unknown} err - Error thrown by the catalog client
+ * @returns {{status: string, error: string}} Serializable query error
+ */
+const toQueryError = (err) => ({
+  status: "CUSTOM_ERROR",
+  error: err instanceof Error ? err.message : "An error occurred",
+})
+
+/**
+ * Run a catalog call and wrap the outcome in RTK Query's result shape
+ *
+ * @param {Function} load - Async catalog call
+ * @returns {Promise<{data: unknown}|{error: Object}>}
+ */
+const fromCatalog = async (load) => {
+  try {
+    return { data: await load() }
+  } catch (err) {
+    return { error: toQueryError(err) }
+  }
+}
+
+export const productsApi = createApi({
+  reducerPath: "productsApi",
+  baseQuery: fakeBaseQuery(),
+  tagTypes: ["Product", "Category"],
+  keepUnusedDataFor: PRODUCTS_CACHE_TIME,
+  refetchOnMountOrArgChange: PRODUCTS_STALE_TIME,
+  refetchOnFocus: true,
+  refetchOnReconnect: true,
+  endpoints: (builder) => ({
+    /**
+     * Product list page
+     *
+     * @param {{page?: number, limit?: number}} args - Zero-based page number and page size
+     */
+    getProducts: builder.query({
+      queryFn: ({ page = 0, limit = PRODUCTS_PAGE_SIZE } = {}, { signal }) =>
+        fromCatalog(() => catalog.listProducts({ limit, skip: page * limit, signal })),
+      providesTags: (result) =>
+        result
+          ? [...result.products.map(({ id }) => ({ type: "Product", id })), { type: "Product", id: "LIST" }]
+          : [{ type: "Product", id: "LIST" }],
+    }),
+
+    /**
+     * Catalog-wide search
+     *
+     * @param {{q: string, limit?: number, skip?: number}} args - Search query, page size and matches to skip
+     */
+    searchProducts: builder.query({
+      queryFn: ({ q, limit = SEARCH_RESULTS_LIMIT, skip = 0 }, { signal }) =>
+        fromCatalog(() => catalog.searchProducts(q, { limit, skip, signal })),
+      providesTags: (result) =>
+        result
+          ? [...result.products.map(({ id }) => ({ type: "Product", id })), { type: "Product", id: "SEARCH" }]
+          : [{ type: "Product", id: "SEARCH" }],
+    }),
+
+    /**
+     * Category list
+     */
+    getCategories: builder.query({
+      queryFn: (arg, { signal }) => fromCatalog(() => catalog.listCategories({ signal })),
+      keepUnusedDataFor: CATEGORIES_CACHE_TIME,
+      providesTags: [{ type: "Category", id: "LIST" }],
+    }),
+
+    /**
+     * Products in one category
+     *
+     * @param {{slug: string, limit?: number}} args - Category slug and result limit
+     */
+    getCategoryProducts: builder.query({
+      queryFn: ({ slug, limit = CATEGORY_PRODUCTS_LIMIT }, { signal }) =>
+        fromCatalog(() => catalog.listCategoryProducts(slug, { limit, signal })),
+      providesTags: (result, error, { slug }) =>
+        result
+          ? [...result.products.map(({ id }) => ({ type: "Product", id })), { type: "Category", id: slug }]
+          : [{ type: "Category", id: slug }],
+    }),
+
+    /**
+     * Single product
+     *
+     * @param {number} id - Product ID
+     */
+    getProduct: builder.query({
+      queryFn: (id, { signal }) => fromCatalog(() => catalog.getProduct(id, { signal })),
+      providesTags: (result, error, id) => [{ type: "Product", id }],
+    }),
+  }),
+})
+
+export const {
+  useGetProductsQuery,
+  useGetProductQuery,
+  useLazySearchProductsQuery,
+  useGetCategoriesQuery,
+  useGetCategoryProductsQuery,
+} = productsApi
+
+// Updated: feat: Add RTK Query products API
@@ -3,15 +3,19 @@
  * 
  * This slice manages product data and filtering functionality including:
  * - Product data fetching and storage
- * - Search functionality across title, description, category, and brand
- * - Category filtering
- * - Sorting by price, rating, and name
+ * - Search, category, facet and sort filter values
  * - Loading and error states
- * - Memoized selectors for performance
+ * - Memoized selectors that run the filters through the query engine
+ *
+ * Filtered lists are never stored in state; they are derived on read so
+ * every view sees the same result for the same filters.
  */
 
 import { createSlice } from "@reduxjs/toolkit"
 import { createSelector } from "reselect"
+import { productsApi } from "./products-api"
+import { filterProducts, runQuery } from "./query-engine"
+import { suggestQueries } from "./search-ranking"
 
 /**
  * Product Structure
@@ -44,6 +48,16 @@ import { createSelector } from "reselect"
  * @property {string} category - Product category
  * @property {string} thumbnail - Main product image URL
  * @property {string[]} images - Array of product image URLs
+ * @property {string[]} [tags] - Product tags
+ * @property {string} [sku] - Stock keeping unit
+ * @property {number} [weight] - Shipping weight
+ * @property {{width: number, height: number, depth: number}} [dimensions] - Package dimensions
+ * @property {string} [warrantyInformation] - Warranty terms
+ * @property {string} [shippingInformation] - When the product ships
+ * @property {string} [returnPolicy] - Return terms
+ * @property {string} [availabilityStatus] - Availability label, like "In Stock"
+ * @property {number} [minimumOrderQuantity] - Fewest units per order
+ * @property {Review[]} [reviews] - Catalog reviews
  */
 
 /**
@@ -51,27 +65,97 @@ import { createSelector } from "reselect"
  *
  * Defines the structure of the products state:
  * - products: Original product data from API
- * - filteredProducts: Products after applying filters and search
  * - searchQuery: Current search term
  * - selectedCategory: Currently selected category filter
- * - sortBy: Current sorting method
+ * - sortBy: Sorting method the shopper picked, "" for automatic
  * - loading: Loading state for API calls
  * - error: Error message if API call fails
- * - categories: Available product categories
+ * - categories: Product categories from the catalog's category list
+ * - total: Total number of products in the catalog
+ * - loadedPages: Page numbers that have been loaded
+ * - pages: Per-page loading and error state
+ * - search: Remote search results, kept apart from the browse list
+ * - matches: Ranked product ids for the search query from the search worker
+ * - facets: Price, rating, brand, stock and discount filters
  */
 /**
  * Products State Structure
  *
  * @typedef {Object} ProductsState
  * @property {Product[]} products - Original product data from API
- * @property {Product[]} filteredProducts - Products after applying filters and search
  * @property {string} searchQuery - Current search term
  * @property {string} selectedCategory - Currently selected category filter
- * @property {string} sortBy - Current sorting method ("price-asc" | "price-desc" | "rating" | "name")
+ * @property {string} sortBy - Sorting method the shopper picked ("relevance" | "price-asc" | "price-desc" | "rating" | "name"), "" for automatic (see selectSortBy)
  * @property {boolean} loading - Loading state for API calls
  * @property {string|null} error - Error message if API call fails
- * @property {string[]} categories - Available product categories
+ * @property {Category[]} categories - Product categories from the catalog's category list
+ * @property {number|null} total - Total number of products in the catalog, null until the first page loads
+ * @property {number[]} loadedPages - Zero-based page numbers that have been loaded, ascending
+ * @property {Object<number, PageState>} pages - Per-page request state keyed by page number
+ * @property {SearchState} search - Results of the catalog-wide search for `searchQuery`
+ * @property {SearchMatches} matches - Search worker results for `searchQuery`
+ * @property {FacetState} facets - Active facet filters
+ */
+
+/**
+ * Category Structure
+ *
+ * @typedef {Object} Category
+ * @property {string} slug - URL-safe identifier, matches `Product.category`
+ * @property {string} name - Display name
+ */
+
+/**
+ * Page Request State
+ *
+ * @typedef {Object} PageState
+ * @property {"loading"|"succeeded"|"failed"} status - Request status of the page
+ * @property {string|null} error - Error message if the page failed to load
+ */
+
+/**
+ * Remote Search State
+ *
+ * @typedef {Object} SearchState
+ * @property {string} query - Query the results belong to
+ * @property {Product[]} results - Matching products returned by the search endpoint
+ * @property {number} total - Total number of matches reported by the endpoint
+ * @property {"idle"|"loading"|"succeeded"|"failed"} status - Request status
+ * @property {string|null} error - Error message if the search failed
+ * @property {{status: "idle"|"loading"|"failed", error: string|null}} more - Status of the next page of matches
+ */
+
+/**
+ * Search Worker Matches
+ *
+ * @typedef {Object} SearchMatches
+ * @property {string} query - Query the ids belong to
+ * @property {number[]|null} ids - Matching product ids, most relevant first; null when the worker has no answer
+ */
+
+/**
+ * Facet Filter State
+ *
+ * @typedef {Object} FacetState
+ * @property {number[]|null} priceRange - Inclusive [min, max] price, null for no limit
+ * @property {number} minRating - Minimum rating (0 for any)
+ * @property {string[]} brands - Selected brands (empty for any)
+ * @property {boolean} inStockOnly - Only products with stock > 0
+ * @property {boolean} onSaleOnly - Only products with a discount
+ */
+
+/**
+ * Initial Facet State
+ *
+ * No facet narrows the results
  */
+export const initialFacets = {
+  priceRange: null,
+  minRating: 0,
+  brands: [],
+  inStockOnly: false,
+  onSaleOnly: false,
+}
 
 /**
  * Initial Products State
@@ -80,26 +164,77 @@ import { createSelector } from "reselect"
  */
 const initialState = {
   products: [],
-  filteredProducts: [],
   searchQuery: "",
   selectedCategory: "",
-  sortBy: "name",
+  sortBy: "",
   loading: false,
   error: null,
   categories: [],
+  total: null,
+  loadedPages: [],
+  pages: {},
+  search: {
+    query: "",
+    results: [],
+    total: 0,
+    status: "idle",
+    error: null,
+    more: { status: "idle", error: null },
+  },
+  matches: {
+    query: "",
+    ids: null,
+  },
+  facets: initialFacets,
+}
+
+/**
+ * Merge Page Into Product List
+ *
+ * Replaces products that are already loaded (a background refetch) and
+ * appends new ones, keeping the list in page order.
+ *
+ * @param {Product[]} products - Products loaded so far
+ * @param {Product[]} incoming - Products from the page that just loaded
+ * @returns {Product[]} Merged product list
+ */
+const mergeProducts = (products, incoming) => {
+  const incomingById = new Map(incoming.map((product) => [product.id, product]))
+  const merged = products.map((product) => incomingById.get(product.id) ?? product)
+  const loadedIds = new Set(merged.map((product) => product.id))
+
+  return merged.concat(incoming.filter((product) => !loadedIds.has(product.id)))
 }
 
+/**
+ * Read the page number from an RTK Query getProducts action
+ */
+const pageOf = (action) => action.meta.arg.originalArgs?.page ?? 0
+
+/**
+ * Read the query from an RTK Query searchProducts action
+ */
+const searchQueryOf = (action) => action.meta.arg.originalArgs.q
+
+/**
+ * Read the number of skipped matches from an RTK Query searchProducts action;
+ * above 0 for a further page of the current search
+ */
+const searchSkipOf = (action) => action.meta.arg.originalArgs.skip ?? 0
+
 /**
  * Products Redux Slice
  * 
  * Creates a Redux slice for product management with the following actions:
  * - setLoading: Controls loading state
- * - setProducts: Sets product data and extracts categories
+ * - setProducts: Sets product data
  * - setError: Sets error state
- * - setSearchQuery: Updates search term and applies filters
- * - setSelectedCategory: Updates category filter and applies filters
- * - setSortBy: Updates sort method and applies filters
- * - applyFilters: Applies search, category, and sort filters
+ * - setSearchQuery: Updates search term
+ * - setSelectedCategory: Updates category filter
+ * - setSortBy: Updates sort method
+ * - setPriceRange / setMinRating / setBrands / toggleBrand / setInStockOnly / setOnSaleOnly: Update facets
+ * - clearFacets: Resets every facet
+ * - setSearchMatches: Stores the search worker's ranked ids for a query
  */
 const productsSlice = createSlice({
   name: "products",
@@ -120,8 +255,7 @@ const productsSlice = createSlice({
     /**
      * Set Products Action
      * 
-     * Sets the product data from API and extracts unique categories.
-     * Automatically applies current filters to the new data.
+     * Sets the product data from API.
      * 
      * @param state - Current products state
      * @param action - Payload containing array of products
@@ -129,15 +263,9 @@ const productsSlice = createSlice({
     setProducts: (state, action) => {
       state.products = action.payload
       
-      // Extract unique categories from products
-      state.categories = [...new Set(action.payload.map((product) => product.category))]
-      
       // Reset loading and error states
       state.loading = false
       state.error = null
-      
-      // Apply current filters to new data
-      productsSlice.caseReducers.applyFilters(state)
     },
 
     /**
@@ -156,170 +284,461 @@ const productsSlice = createSlice({
     /**
      * Set Search Query Action
      * 
-     * Updates the search query and applies filters.
+     * Updates the search query.
      * 
      * @param state - Current products state
      * @param action - Payload containing search query string
      */
     setSearchQuery: (state, action) => {
       state.searchQuery = action.payload
-      productsSlice.caseReducers.applyFilters(state)
     },
 
     /**
      * Set Selected Category Action
      * 
-     * Updates the selected category filter and applies filters.
+     * Updates the selected category filter.
      * 
      * @param state - Current products state
      * @param action - Payload containing selected category string
      */
     setSelectedCategory: (state, action) => {
       state.selectedCategory = action.payload
-      productsSlice.caseReducers.applyFilters(state)
     },
 
     /**
      * Set Sort By Action
      * 
-     * Updates the sorting method and applies filters.
+     * Updates the sorting method.
      * 
      * @param state - Current products state
      * @param action - Payload containing sort method
      */
     setSortBy: (state, action) => {
       state.sortBy = action.payload
-      productsSlice.caseReducers.applyFilters(state)
     },
 
     /**
-     * Apply Filters Action
-     * 
-     * Applies search, category, and sort filters to products.
-     * This is called internally by other actions.
-     * 
+     * Set Price Range Action
+     *
+     * @param state - Current products state
+     * @param action - Payload containing [min, max] or null for no limit
+     */
+    setPriceRange: (state, action) => {
+      state.facets.priceRange = action.payload
+    },
+
+    /**
+     * Set Minimum Rating Action
+     *
+     * @param state - Current products state
+     * @param action - Payload containing the minimum rating (0 for any)
+     */
+    setMinRating: (state, action) => {
+      state.facets.minRating = action.payload
+    },
+
+    /**
+     * Set Brands Action
+     *
      * @param state - Current products state
+     * @param action - Payload containing the selected brands
      */
-    applyFilters: (state) => {
-      // Start with all products
-      let filtered = [...state.products]
-
-      // Apply search filter
-      if (state.searchQuery) {
-        const searchTerm = state.searchQuery.toLowerCase()
-        filtered = filtered.filter((product) => {
-          // Safe string conversion and lowercase for case-insensitive search
-          const title = typeof product.title === "string" ? product.title.toLowerCase() : ""
-          const description = typeof product.description === "string" ? product.description.toLowerCase() : ""
-          const category = typeof product.category === "string" ? product.category.toLowerCase() : ""
-          const brand = typeof product.brand === "string" ? product.brand.toLowerCase() : ""
-
-          // Search across title, description, category, and brand
-          return (
-            title.includes(searchTerm) ||
-            description.includes(searchTerm) ||
-            category.includes(searchTerm) ||
-            brand.includes(searchTerm)
-          )
-        })
-      }
-
-      // Apply category filter
-      if (state.selectedCategory) {
-        filtered = filtered.filter((product) => product.category === state.selectedCategory)
-      }
-
-      // Apply sorting
-      switch (state.sortBy) {
-        case "price-asc":
-          filtered.sort((a, b) => a.price - b.price)
-          break
-        case "price-desc":
-          filtered.sort((a, b) => b.price - a.price)
-          break
-        case "rating":
-          filtered.sort((a, b) => b.rating - a.rating)
-          break
-        case "name":
-          filtered.sort((a, b) => {
-            // Safe string comparison for sorting
-            const titleA = typeof a.title === "string" ? a.title : ""
-            const titleB = typeof b.title === "string" ? b.title : ""
-            return titleA.localeCompare(titleB)
-          })
-          break
-      }
-
-      // Update filtered products
-      state.filteredProducts = filtered
+    setBrands: (state, action) => {
+      state.facets.brands = action.payload
     },
+
+    /**
+     * Toggle Brand Action
+     *
+     * Adds the brand to the selection, or removes it when already selected.
+     *
+     * @param state - Current products state
+     * @param action - Payload containing the brand name
+     */
+    toggleBrand: (state, action) => {
+      const brands = state.facets.brands
+      state.facets.brands = brands.includes(action.payload)
+        ? brands.filter((brand) => brand !== action.payload)
+        : [...brands, action.payload]
+    },
+
+    /**
+     * Set In Stock Only Action
+     *
+     * @param state - Current products state
+     * @param action - Payload containing boolean
+     */
+    setInStockOnly: (state, action) => {
+      state.facets.inStockOnly = action.payload
+    },
+
+    /**
+     * Set On Sale Only Action
+     *
+     * @param state - Current products state
+     * @param action - Payload containing boolean
+     */
+    setOnSaleOnly: (state, action) => {
+      state.facets.onSaleOnly = action.payload
+    },
+
+    /**
+     * Clear Facets Action
+     *
+     * Resets every facet to its initial value.
+     *
+     * @param state - Current products state
+     */
+    clearFacets: (state) => {
+      state.facets = initialFacets
+    },
+
+    /**
+     * Set Search Matches Action
+     *
+     * @param state - Current products state
+     * @param action - Payload containing { query, ids } from the search worker
+     */
+    setSearchMatches: (state, action) => {
+      state.matches = action.payload
+    },
+  },
+
+  /**
+   * Products API Lifecycle
+   *
+   * Mirrors the RTK Query product list into this slice so filtering keeps
+   * working on `state.products.products`. Loading and error are only raised
+   * while there is nothing to show, so background refetches stay silent.
+   */
+  extraReducers: (builder) => {
+    builder
+      .addMatcher(productsApi.endpoints.getProducts.matchPending, (state, action) => {
+        const page = pageOf(action)
+        state.pages[page] = { status: "loading", error: null }
+
+        if (state.products.length === 0) {
+          state.loading = true
+        }
+      })
+      .addMatcher(productsApi.endpoints.getProducts.matchFulfilled, (state, action) => {
+        const page = pageOf(action)
+        const { products, total } = action.payload
+
+        state.pages[page] = { status: "succeeded", error: null }
+        if (!state.loadedPages.includes(page)) {
+          state.loadedPages = [...state.loadedPages, page].sort((a, b) => a - b)
+        }
+        state.total = total
+
+        productsSlice.caseReducers.setProducts(state, { payload: mergeProducts(state.products, products) })
+      })
+      .addMatcher(productsApi.endpoints.getProducts.matchRejected, (state, action) => {
+        // Skipped (already cached or in flight) requests are not failures
+        if (action.meta.condition) return
+
+        const page = pageOf(action)
+        const message = action.payload?.error || action.error.message || "An error occurred"
+
+        // A failed background refetch keeps the page that is already shown
+        state.pages[page] = state.loadedPages.includes(page)
+          ? { status: "succeeded", error: null }
+          : { status: "failed", error: message }
+
+        state.loading = false
+        if (state.products.length === 0) {
+          state.error = message
+        }
+      })
+      .addMatcher(productsApi.endpoints.searchProducts.matchPending, (state, action) => {
+        if (searchSkipOf(action) > 0) {
+          // A further page keeps the matches already shown
+          if (searchQueryOf(action) === state.search.query) state.search.more = { status: "loading", error: null }
+          return
+        }
+
+        state.search = {
+          query: searchQueryOf(action),
+          results: [],
+          total: 0,
+          status: "loading",
+          error: null,
+          more: { status: "idle", error: null },
+        }
+      })
+      .addMatcher(productsApi.endpoints.searchProducts.matchFulfilled, (state, action) => {
+        // Ignore responses for a query the user has already moved on from
+        if (searchQueryOf(action) !== state.search.query) return
+
+        const skip = searchSkipOf(action)
+        if (skip > 0) {
+          // Only a page that continues the loaded matches is appended
+          if (skip === state.search.results.length) {
+            const known = new Set(state.search.results.map(({ id }) => id))
+            state.search.results.push(...action.payload.products.filter(({ id }) => !known.has(id)))
+          }
+          state.search.more = { status: "idle", error: null }
+        } else {
+          state.search.results = action.payload.products
+          state.search.status = "succeeded"
+        }
+        state.search.total = action.payload.total
+      })
+      .addMatcher(productsApi.endpoints.searchProducts.matchRejected, (state, action) => {
+        // Cancelled and superseded requests are not failures
+        if (action.meta.condition || action.meta.aborted || searchQueryOf(action) !== state.search.query) return
+
+        const error = action.payload?.error || action.error.message || "Search failed"
+        if (searchSkipOf(action) > 0) {
+          state.search.more = { status: "failed", error }
+          return
+        }
+
+        state.search.status = "failed"
+        state.search.error = error
+      })
+      .addMatcher(productsApi.endpoints.getCategories.matchFulfilled, (state, action) => {
+        state.categories = action.payload
+      })
   },
 })
 
 // Export action creators for use in components
-export const { setLoading, setProducts, setError, setSearchQuery, setSelectedCategory, setSortBy } =
-  productsSlice.actions
+export const {
+  setLoading,
+  setProducts,
+  setError,
+  setSearchQuery,
+  setSelectedCategory,
+  setSortBy,
+  setPriceRange,
+  setMinRating,
+  setBrands,
+  toggleBrand,
+  setInStockOnly,
+  setOnSaleOnly,
+  clearFacets,
+  setSearchMatches,
+} = productsSlice.actions
 
 // Export reducer for store configuration
 export default productsSlice.reducer
 
+/**
+ * Select Remote Search Results
+ *
+ * Returns the catalog-wide matches for the current search query, or null
+ * when they are not available (no query, still loading, failed or offline)
+ * and the in-memory products should be searched instead.
+ *
+ * @param state - Root Redux state
+ * @returns {Product[]|null} Remote matches or null
+ */
+export const selectRemoteSearchResults = createSelector(
+  [(state) => state.products.searchQuery.trim(), (state) => state.products.search],
+  (query, search) => (query && search.query === query && search.status === "succeeded" ? search.results : null),
+)
+
+/**
+ * Select Sort By
+ *
+ * Sorting method in effect. Unless the shopper picked one, results are
+ * ranked by relevance while searching and sorted by name otherwise.
+ *
+ * @param state - Root Redux state
+ * @returns {string} Sort method
+ */
+export const selectSortBy = (state) =>
+  state.products.sortBy || (state.products.searchQuery.trim() ? "relevance" : "name")
+
+/**
+ * Memoized Selector for the Product Query
+ *
+ * Builds the query engine spec from the filter state. Search worker
+ * matches replace in-thread matching once the worker has answered; while
+ * it works on a newer query the previous matches stay on screen.
+ *
+ * @param state - Root Redux state
+ * @returns {ProductQuery} Query for the current filters
+ */
+export const selectProductQuery = createSelector(
+  [
+    (state) => state.products.searchQuery,
+    (state) => state.products.selectedCategory,
+    (state) => state.products.facets,
+    selectSortBy,
+    (state) => state.products.matches.ids,
+  ],
+  (searchQuery, selectedCategory, facets, sortBy, matchIds) => ({
+    search: searchQuery,
+    matchIds: searchQuery.trim() ? matchIds : null,
+    category: selectedCategory,
+    ...facets,
+    sortBy,
+  }),
+)
+
+/**
+ * Memoized Selector for the Query Source
+ *
+ * Products the query runs over: the loaded products, plus remote search
+ * results when available. Both are matched and ranked locally, so a typo
+ * the server cannot match still finds loaded products.
+ *
+ * @param state - Root Redux state
+ * @returns {Product[]} Products to query
+ */
+export const selectQuerySource = createSelector(
+  [(state) => state.products.products, selectRemoteSearchResults],
+  (products, remoteResults) => (remoteResults ? mergeProducts(remoteResults, products) : products),
+)
+
+// Query fields that are facets rather than search or category
+const FACET_FIELDS = Object.keys(initialFacets)
+
+/**
+ * Memoized Selector for Searched Products
+ *
+ * Products matching the search query and category, before facets and sorting.
+ *
+ * @param state - Root Redux state
+ * @returns Unsorted array of products
+ */
+export const selectSearchedProducts = createSelector([selectQuerySource, selectProductQuery], (products, query) =>
+  filterProducts(products, query, FACET_FIELDS),
+)
+
 /**
  * Memoized Selector for Filtered Products
  * 
  * This selector uses Reselect to create a memoized selector that:
  * - Only recalculates when input values change
  * - Improves performance by avoiding unnecessary re-renders
- * - Applies search, category, and sort filters
+ * - Applies search, category, facet and sort filters through the query engine
  * 
  * @param state - Root Redux state
  * @returns Filtered and sorted array of products
  */
-export const selectFilteredProducts = createSelector(
-  [
-    // Input selectors - these values are watched for changes
-    (state) => state.products.products,
-    (state) => state.products.searchQuery,
-    (state) => state.products.selectedCategory,
-    (state) => state.products.sortBy,
-  ],
-  // Result function - only runs when input values change
-  (products, searchQuery, selectedCategory, sortBy) => {
-    let filtered = products
-
-    // Apply search filter
-    if (searchQuery) {
-      filtered = filtered.filter(
-        (product) =>
-          product.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-          product.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
-          product.category.toLowerCase().includes(searchQuery.toLowerCase()),
-      )
-    }
+export const selectFilteredProducts = createSelector([selectQuerySource, selectProductQuery], (products, query) =>
+  runQuery(products, query),
+)
 
-    // Apply category filter
-    if (selectedCategory && selectedCategory !== "all") {
-      filtered = filtered.filter((product) => product.category === selectedCategory)
-    }
+/**
+ * Memoized Selector for Search Suggestions
+ *
+ * "Did you mean" queries, only when the search itself (before facets)
+ * matched nothing.
+ *
+ * @param state - Root Redux state
+ * @returns {string[]} Suggested queries
+ */
+export const selectSearchSuggestions = createSelector(
+  [selectQuerySource, selectSearchedProducts, (state) => state.products.searchQuery],
+  (products, searched, searchQuery) =>
+    searchQuery.trim() && searched.length === 0 ? suggestQueries(products, searchQuery) : [],
+)
+
+// Rating thresholds offered by the rating facet
+export const RATING_OPTIONS = [4, 3, 2, 1]
 
-    // Apply sorting
-    switch (sortBy) {
-      case "price-asc":
-        filtered = [...filtered].sort((a, b) => a.price - b.price)
-        break
-      case "price-desc":
-        filtered = [...filtered].sort((a, b) => b.price - a.price)
-        break
-      case "rating":
-        filtered = [...filtered].sort((a, b) => b.rating - a.rating)
-        break
-      case "name":
-      default:
-        filtered = [...filtered].sort((a, b) => a.title.localeCompare(b.title))
-        break
+/**
+ * Memoized Selector for Facet Counts
+ *
+ * Live result counts for every facet option. Each facet's counts take all
+ * other active facets into account, so an option shows how many results
+ * selecting it would give.
+ *
+ * @param state - Root Redux state
+ * @returns {{priceBounds: number[]|null, prices: number[], ratings: Object<number, number>, brands: Array<{brand: string, count: number}>, inStock: number, onSale: number}}
+ */
+export const selectFacetCounts = createSelector(
+  [selectSearchedProducts, selectProductQuery],
+  (products, query) => {
+    // Search and category already narrowed `products`; apply every facet but one
+    const without = (facet) => filterProducts(products, query, ["search", "category", facet])
+    const withoutPrice = without("priceRange")
+    const withoutRating = without("minRating")
+    const withoutBrands = without("brands")
+
+    const brandCounts = new Map()
+    withoutBrands.forEach(({ brand }) => {
+      if (brand) brandCounts.set(brand, (brandCounts.get(brand) ?? 0) + 1)
+    })
+    // Keep selected brands listed even when nothing else matches them
+    query.brands.forEach((brand) => {
+      if (!brandCounts.has(brand)) brandCounts.set(brand, 0)
+    })
+
+    const prices = products.map((product) => product.price)
+
+    return {
+      priceBounds: prices.length ? [Math.floor(Math.min(...prices)), Math.ceil(Math.max(...prices))] : null,
+      prices: withoutPrice.map((product) => product.price),
+      ratings: Object.fromEntries(
+        RATING_OPTIONS.map((rating) => [rating, filterProducts(withoutRating, { minRating: rating }).length]),
+      ),
+      brands: [...brandCounts]
+        .map(([brand, count]) => ({ brand, count }))
+        .sort((a, b) => b.count - a.count || a.brand.localeCompare(b.brand)),
+      inStock: filterProducts(without("inStockOnly"), { inStockOnly: true }).length,
+      onSale: filterProducts(without("onSaleOnly"), { onSaleOnly: true }).length,
     }
+  },
+)
 
-    return filtered
+/**
+ * Select Active Facet Count
+ *
+ * @param state - Root Redux state
+ * @returns {number} Number of facets currently narrowing the results
+ */
+export const selectActiveFacetCount = (state) => {
+  const { priceRange, minRating, brands, inStockOnly, onSaleOnly } = state.products.facets
+  return (priceRange ? 1 : 0) + (minRating ? 1 : 0) + brands.length + (inStockOnly ? 1 : 0) + (onSaleOnly ? 1 : 0)
+}
+
+/**
+ * Select Category By Slug
+ *
+ * @param state - Root Redux state
+ * @param slug - Category slug
+ * @returns {Category|undefined} Category or undefined when it is not in the list
+ */
+export const selectCategoryBySlug = createSelector(
+  [(state) => state.products.categories, (state, slug) => slug],
+  (categories, slug) => categories.find((category) => category.slug === slug),
+)
+
+/**
+ * Select Next Page
+ *
+ * Page number the grid should request next, or null when the whole
+ * catalog has been loaded.
+ *
+ * @param state - Root Redux state
+ * @returns {number|null} Next page number
+ */
+export const selectNextPage = createSelector(
+  [(state) => state.products.loadedPages, (state) => state.products.products.length, (state) => state.products.total],
+  (loadedPages, loadedCount, total) => {
+    if (total !== null && loadedCount >= total) return null
+    return loadedPages.length === 0 ? 0 : loadedPages[loadedPages.length - 1] + 1
   },
 )
 
+/**
+ * Select Product By ID
+ *
+ * Looks up a product in the loaded list, so detail views can render
+ * immediately while the single-product query refreshes in the background.
+ *
+ * @param state - Root Redux state
+ * @param id - Product ID
+ * @returns Product or undefined when it has not been loaded
+ */
+export const selectProductById = createSelector(
+  [(state) => state.products.products, (state, id) => id],
+  (products, id) => products.find((product) => product.id === id),
+)
+
 // Updated: feat: Add products Redux slice with search functionality
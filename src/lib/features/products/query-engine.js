@@ -0,0 +1,174 @@
+/**
+ * Product Query Engine - ShoppyGlobe E-commerce
+ *
+ * The one place that decides which products match and in what order.
+ * Every list in the app (the home grid, facet counts, category pages) runs
+ * a ProductQuery through `runQuery`, so they can never disagree.
+ *
+ * A query is evaluated in three steps:
+ * 1. Predicates - every active predicate must pass
+ * 2. Sorter - orders the matches ("relevance" ranks them against the search)
+ * 3. Pagination - optional page slice of the sorted matches
+ */
+
+import { scoreProduct } from "./search-ranking"
+import { rankingScore, rulesForQuery } from "./merchandising"
+
+/**
+ * Product Query Specification
+ *
+ * Every field is optional; a missing or empty value does not narrow the results.
+ *
+ * @typedef {Object} ProductQuery
+ * @property {string} [search] - Typo-tolerant text matched against title, brand, category, tags and description,
+ *   with merchandising rules applied
+ * @property {number[]|null} [matchIds] - Ids already matched to `search` (e.g. by the search worker), most relevant
+ *   first; when set they replace the search predicate and give the relevance order
+ * @property {string} [category] - Category slug; "" and "all" mean every category
+ * @property {number[]|null} [priceRange] - Inclusive [min, max] price
+ * @property {number} [minRating] - Minimum rating, 0 for any
+ * @property {string[]} [brands] - Allowed brands, empty for any
+ * @property {boolean} [inStockOnly] - Only products with stock > 0
+ * @property {boolean} [onSaleOnly] - Only products with a discount
+ * @property {string} [sortBy] - Key of `sorters` or "relevance", defaults to "name"
+ * @property {number} [page] - Zero-based page; pagination only applies with `pageSize`
+ * @property {number} [pageSize] - Products per page
+ */
+
+/**
+ * Lowercase a field for searching, tolerating missing values
+ *
+ * @param {unknown} value - Product field
+ * @returns {string} Lowercased string, or "" when not a string
+ */
+const searchable = (value) => (typeof value === "string" ? value.toLowerCase() : "")
+
+/**
+ * Predicates
+ *
+ * Keyed by the ProductQuery field they read. Each returns true when the
+ * product passes; an inactive value always passes.
+ */
+export const predicates = {
+  search: (product, search) => {
+    if (!searchable(search).trim()) return true
+
+    const rules = rulesForQuery(search)
+    return rules.pinnedIds.includes(product.id) || scoreProduct(product, rules.termGroups) > 0
+  },
+  category: (product, category) => !category || category === "all" || product.category === category,
+  priceRange: (product, range) => !range || (product.price >= range[0] && product.price <= range[1]),
+  minRating: (product, minRating) => !minRating || product.rating >= minRating,
+  brands: (product, brands) => !brands || brands.length === 0 || brands.includes(product.brand),
+  inStockOnly: (product, inStockOnly) => !inStockOnly || product.stock > 0,
+  onSaleOnly: (product, onSaleOnly) => !onSaleOnly || product.discountPercentage > 0,
+}
+
+/**
+ * Sorters
+ *
+ * Comparators keyed by sort method.
+ */
+export const sorters = {
+  name: (a, b) => searchable(a.title).localeCompare(searchable(b.title)),
+  "price-asc": (a, b) => a.price - b.price,
+  "price-desc": (a, b) => b.price - a.price,
+  rating: (a, b) => b.rating - a.rating,
+}
+
+// Rank of every id in a matchIds list, built once per list
+const rankCache = new WeakMap()
+
+/**
+ * Ranks Of Match Ids
+ *
+ * @param {number[]} ids - Ranked product ids
+ * @returns {Map<number, number>} Product id to position
+ */
+const ranksOf = (ids) => {
+  if (!rankCache.has(ids)) rankCache.set(ids, new Map(ids.map((id, rank) => [id, rank])))
+  return rankCache.get(ids)
+}
+
+/**
+ * Filter Products
+ *
+ * @param {Product[]} products - Products to filter
+ * @param {ProductQuery} query - Query whose predicates apply
+ * @param {string[]} [except] - Predicate names to skip (for example to count facet options)
+ * @returns {Product[]} Matching products, in their original order
+ */
+export const filterProducts = (products, query, except = []) => {
+  // Precomputed matches stand in for the search predicate
+  const ranks = query.matchIds && !except.includes("search") ? ranksOf(query.matchIds) : null
+  const active = Object.keys(predicates).filter(
+    (name) => !except.includes(name) && query[name] !== undefined && !(ranks && name === "search"),
+  )
+  if (active.length === 0 && !ranks) return products
+
+  return products.filter(
+    (product) => (!ranks || ranks.has(product.id)) && active.every((name) => predicates[name](product, query[name])),
+  )
+}
+
+/**
+ * Sort Products
+ *
+ * "relevance" follows the order of `matchIds` when given, otherwise the
+ * search score after merchandising pins and boosts, best first; ties (and every product when there is no
+ * search) are sorted by name.
+ *
+ * @param {Product[]} products - Products to sort
+ * @param {string} [sortBy] - Key of `sorters` or "relevance"; unknown keys sort by name
+ * @param {string} [search] - Search query that relevance is scored against
+ * @param {number[]|null} [matchIds] - Ranked ids that define relevance instead of scoring
+ * @returns {Product[]} Sorted copy
+ */
+export const sortProducts = (products, sortBy, search, matchIds) => {
+  if (sortBy === "relevance" && matchIds) {
+    const ranks = ranksOf(matchIds)
+    const last = matchIds.length
+    return [...products].sort((a, b) => (ranks.get(a.id) ?? last) - (ranks.get(b.id) ?? last) || sorters.name(a, b))
+  }
+
+  if (sortBy !== "relevance" || !searchable(search).trim()) {
+    return [...products].sort(sorters[sortBy] ?? sorters.name)
+  }
+
+  const rules = rulesForQuery(search)
+  const scores = new Map(
+    products.map((product) => [product, rankingScore(product.id, scoreProduct(product, rules.termGroups), rules)]),
+  )
+  return [...products].sort((a, b) => scores.get(b) - scores.get(a) || sorters.name(a, b))
+}
+
+/**
+ * Paginate Products
+ *
+ * @param {Product[]} products - Products to page through
+ * @param {number} [page] - Zero-based page
+ * @param {number} [pageSize] - Products per page; omitted returns every product
+ * @returns {Product[]} Products on the page
+ */
+export const paginate = (products, page = 0, pageSize) =>
+  pageSize ? products.slice(page * pageSize, (page + 1) * pageSize) : products
+
+/**
+ * Run Query
+ *
+ * Filters, sorts and paginates products according to the query.
+ *
+ * @param {Product[]} products - Products to query
+ * @param {ProductQuery} query - Query specification
+ * @param {Object} [options]
+ * @param {string[]} [options.except] - Predicate names to skip
+ * @returns {Product[]} Result page
+ */
+export const runQuery = (products, query, { except } = {}) =>
+  paginate(
+    sortProducts(filterProducts(products, query, except), query.sortBy, query.search, query.matchIds),
+    query.page,
+    query.pageSize,
+  )
+
+// Updated: feat: Add product query engine
@@ -0,0 +1,119 @@
+/**
+ * Product Recommendations - ShoppyGlobe E-commerce
+ *
+ * Suggestions shown under a product:
+ * - Similar products: other products scored by shared category, brand,
+ *   price band and tags
+ * - Frequently bought together: products that appear in the same orders as
+ *   the product, counted over the orders placed from this browser
+ */
+
+/**
+ * Similarity weights; a shared category counts most, each shared tag least
+ */
+export const SIMILARITY_WEIGHTS = {
+  category: 4,
+  brand: 3,
+  priceBand: 2,
+  tag: 1,
+}
+
+/**
+ * Most tags that count towards one score, so tag-heavy products do not
+ * outrank a shared category
+ */
+const MAX_SHARED_TAGS = 3
+
+/**
+ * Price ratio (cheaper / dearer) from which two products share a price band
+ */
+const PRICE_BAND_RATIO = 0.6
+
+/**
+ * Normalize Tag
+ *
+ * @param {string} tag - Product tag
+ * @returns {string} Lowercased, trimmed tag
+ */
+const normalizeTag = (tag) => String(tag).trim().toLowerCase()
+
+/**
+ * Similarity Score
+ *
+ * @param {Product} product - Product being viewed
+ * @param {Product} candidate - Product that may be suggested
+ * @returns {number} Score, 0 when nothing is shared
+ */
+export function similarityScore(product, candidate) {
+  let score = 0
+
+  if (product.category && candidate.category === product.category) score += SIMILARITY_WEIGHTS.category
+  if (product.brand && candidate.brand === product.brand) score += SIMILARITY_WEIGHTS.brand
+
+  const prices = [product.price, candidate.price]
+  if (prices.every((price) => price > 0) && Math.min(...prices) / Math.max(...prices) >= PRICE_BAND_RATIO) {
+    score += SIMILARITY_WEIGHTS.priceBand
+  }
+
+  const tags = new Set((product.tags ?? []).map(normalizeTag))
+  const sharedTags = new Set((candidate.tags ?? []).map(normalizeTag).filter((tag) => tags.has(tag))).size
+  score += Math.min(sharedTags, MAX_SHARED_TAGS) * SIMILARITY_WEIGHTS.tag
+
+  return score
+}
+
+/**
+ * Similar Products
+ *
+ * Ranks candidates by similarity; ties go to the better rated product.
+ * The product itself and candidates sharing nothing but a price band are
+ * left out.
+ *
+ * @param {Product} product - Product being viewed
+ * @param {Product[]} candidates - Products to choose from
+ * @param {number} [limit=12] - Most products returned
+ * @returns {Product[]} Similar products, most similar first
+ */
+export function similarProducts(product, candidates, limit = 12) {
+  return candidates
+    .filter((candidate) => candidate.id !== product.id)
+    .map((candidate) => ({ candidate, score: similarityScore(product, candidate) }))
+    .filter(({ score }) => score > SIMILARITY_WEIGHTS.priceBand)
+    .sort((a, b) => b.score - a.score || (b.candidate.rating ?? 0) - (a.candidate.rating ?? 0))
+    .slice(0, limit)
+    .map(({ candidate }) => candidate)
+}
+
+/**
+ * Frequently Bought Together
+ *
+ * Counts how many orders contain each other product alongside the given
+ * one. Items come from the most recent order they appear in.
+ *
+ * @param {number} productId - Product being viewed
+ * @param {Order[]} orders - Placed orders, newest first
+ * @param {number} [limit=2] - Most products returned
+ * @returns {Array<{item: OrderItem, count: number}>} Companion products, most often bought first
+ */
+export function frequentlyBoughtTogether(productId, orders, limit = 2) {
+  const companions = new Map()
+
+  orders.forEach((order) => {
+    if (!order.items.some((item) => item.id === productId)) return
+
+    order.items.forEach((item) => {
+      if (item.id === productId) return
+
+      const companion = companions.get(item.id)
+      if (companion) {
+        companion.count += 1
+      } else {
+        companions.set(item.id, { item, count: 1 })
+      }
+    })
+  })
+
+  return [...companions.values()].sort((a, b) => b.count - a.count).slice(0, limit)
+}
+
+// Updated: feat: Add similar and frequently bought together recommendations
@@ -0,0 +1,136 @@
+/**
+ * Search Client - ShoppyGlobe E-commerce
+ *
+ * Main-thread side of the search worker:
+ * - Sends only new or changed products to be indexed
+ * - Runs queries off the main thread and resolves with ranked product ids
+ * - Drops stale answers: a newer query on the same channel resolves the
+ *   older one with null
+ * - Falls back to an in-thread index where Web Workers are unavailable
+ */
+
+import { INDEXED_FIELDS, createSearchIndex, indexProducts, searchIndex } from "./search-index"
+
+/**
+ * Pick the indexed fields of a product, so little data crosses to the worker
+ *
+ * @param {Product} product - Product to send
+ * @returns {Object} Product with only INDEXED_FIELDS
+ */
+const indexedFields = (product) => Object.fromEntries(INDEXED_FIELDS.map((field) => [field, product[field]]))
+
+/**
+ * Create Search Client
+ *
+ * @param {Object} [options]
+ * @param {() => Worker|null} [options.createWorker] - Starts the worker; null runs searches in-thread
+ * @returns {{version: number, index: (products: Product[]) => boolean, search: (query: string, channel?: string) => Promise<number[]|null>}}
+ */
+export function createSearchClient({ createWorker = defaultWorker } = {}) {
+  const worker = createWorker()
+  const localIndex = worker ? null : createSearchIndex()
+
+  // Product objects as last indexed, by id
+  const indexed = new Map()
+  // Newest request id per channel, and the resolvers still waiting
+  const latest = new Map()
+  const waiting = new Map()
+  let nextRequestId = 0
+  let failure = null
+
+  const client = {
+    // Bumped whenever the index changes, so current queries can be re-run
+    version: 0,
+
+    /**
+     * Index Products
+     *
+     * @param {Product[]} products - Every product that should be searchable
+     * @returns {boolean} Whether anything new was indexed
+     */
+    index(products) {
+      const changed = products.filter((product) => indexed.get(product.id) !== product)
+      if (changed.length === 0) return false
+
+      changed.forEach((product) => indexed.set(product.id, product))
+      const payload = changed.map(indexedFields)
+
+      if (worker) {
+        worker.postMessage({ type: "index", products: payload })
+      } else {
+        indexProducts(localIndex, payload)
+      }
+      client.version += 1
+      return true
+    },
+
+    /**
+     * Search
+     *
+     * @param {string} query - Search query
+     * @param {string} [channel] - Independent query stream (results grid, autocomplete...)
+     * @returns {Promise<number[]|null>} Ranked ids, or null when a newer query on the channel replaced this one
+     */
+    search(query, channel = "results") {
+      const requestId = ++nextRequestId
+      const previous = latest.get(channel)
+      latest.set(channel, requestId)
+
+      if (waiting.has(previous)) {
+        waiting.get(previous).resolve(null)
+        waiting.delete(previous)
+      }
+
+      if (failure) return Promise.reject(failure)
+      if (!worker) return Promise.resolve(searchIndex(localIndex, query))
+
+      return new Promise((resolve, reject) => {
+        waiting.set(requestId, { resolve, reject })
+        worker.postMessage({ type: "search", requestId, channel, query })
+      })
+    },
+  }
+
+  worker?.addEventListener("message", ({ data }) => {
+    const request = waiting.get(data.requestId)
+    if (!request) return
+
+    waiting.delete(data.requestId)
+    request.resolve(latest.get(data.channel) === data.requestId ? data.ids : null)
+  })
+
+  // A worker that fails to start or crashes rejects every open and future query
+  worker?.addEventListener("error", (event) => {
+    failure = new Error(event.message || "Search worker failed")
+    waiting.forEach(({ reject }) => reject(failure))
+    waiting.clear()
+  })
+
+  return client
+}
+
+/**
+ * Start the bundled search worker, or return null where workers are unavailable
+ *
+ * @returns {Worker|null} Worker instance
+ */
+function defaultWorker() {
+  if (typeof Worker === "undefined") return null
+  return new Worker(new URL("./search.worker.js", import.meta.url), { type: "module" })
+}
+
+let sharedClient = null
+
+/**
+ * Get Search Client
+ *
+ * The app shares one worker; it is started on first use.
+ *
+ * @returns {ReturnType<typeof createSearchClient>} Shared search client
+ */
+export const getSearchClient = () => {
+  sharedClient ??= createSearchClient()
+  return sharedClient
+}
+
+// Updated: feat: Add search client for the search worker
@@ -0,0 +1,143 @@
+/**
+ * Search Index - ShoppyGlobe E-commerce
+ *
+ * Inverted token index over the catalog, built once and updated as pages
+ * load, so a query only looks at the distinct words of the catalog instead
+ * of every product:
+ * - Each token maps to the products containing it, with the weight of the
+ *   strongest field it appears in
+ * - Query terms are matched against the token list with the same typo
+ *   tolerance and field weights as `scoreProduct`
+ * - Merchandising rules (synonyms, pins, boosts) apply before ranking
+ * - Results are product ids ranked by relevance
+ *
+ * Runs inside the search worker, and on the main thread where workers are
+ * not available.
+ */
+
+import { FIELD_WEIGHTS, matchGroup, tokenize } from "./search-ranking"
+import { rankingScore, rulesForQuery } from "./merchandising"
+
+/**
+ * Search Index Structure
+ *
+ * @typedef {Object} SearchIndex
+ * @property {Map<number, {title: string, tokens: Map<string, number>}>} docs - Indexed products by id, with their token weights
+ * @property {Map<string, Map<number, number>>} postings - Token to product id to field weight
+ */
+
+/**
+ * Fields copied into the index; the rest of a product is not needed
+ */
+export const INDEXED_FIELDS = ["id", ...Object.keys(FIELD_WEIGHTS)]
+
+/**
+ * Create Search Index
+ *
+ * @returns {SearchIndex} Empty index
+ */
+export const createSearchIndex = () => ({ docs: new Map(), postings: new Map() })
+
+/**
+ * Remove Product From Index
+ *
+ * @param {SearchIndex} index - Index to update
+ * @param {number} id - Product id
+ */
+const removeDoc = (index, id) => {
+  const doc = index.docs.get(id)
+  if (!doc) return
+
+  doc.tokens.forEach((_, token) => {
+    const posting = index.postings.get(token)
+    posting.delete(id)
+    if (posting.size === 0) index.postings.delete(token)
+  })
+  index.docs.delete(id)
+}
+
+/**
+ * Index Products
+ *
+ * Adds products to the index; products already indexed are replaced.
+ *
+ * @param {SearchIndex} index - Index to update
+ * @param {Product[]} products - Products with at least the INDEXED_FIELDS
+ */
+export const indexProducts = (index, products) => {
+  products.forEach((product) => {
+    removeDoc(index, product.id)
+
+    // Strongest field weight per token
+    const tokens = new Map()
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const values = field === "tags" ? product.tags || [] : [product[field]]
+      values.flatMap(tokenize).forEach((token) => {
+        if (weight > (tokens.get(token) ?? 0)) tokens.set(token, weight)
+      })
+    })
+
+    index.docs.set(product.id, { title: typeof product.title === "string" ? product.title.toLowerCase() : "", tokens })
+    tokens.forEach((weight, token) => {
+      if (!index.postings.has(token)) index.postings.set(token, new Map())
+      index.postings.get(token).set(product.id, weight)
+    })
+  })
+}
+
+/**
+ * Search Index
+ *
+ * Every query word (or a synonym) has to match; a product's score is the
+ * sum of each word's best weighted match, the same as `scoreProduct`.
+ * Pinned products come first and boosts scale the score.
+ *
+ * @param {SearchIndex} index - Index to search
+ * @param {string} query - Search query
+ * @param {ResolvedRules} [rules] - Merchandising rules for the query
+ * @returns {number[]} Matching product ids, most relevant first (ties by title)
+ */
+export const searchIndex = (index, query, rules = rulesForQuery(query)) => {
+  const groups = rules.termGroups
+  if (groups.length === 0) return []
+
+  let scores = null
+
+  for (const group of groups) {
+    const best = new Map()
+
+    index.postings.forEach((posting, token) => {
+      const quality = matchGroup(group, token)
+      if (quality === 0) return
+
+      posting.forEach((weight, id) => {
+        const score = weight * quality
+        if (score > (best.get(id) ?? 0)) best.set(id, score)
+      })
+    })
+
+    if (scores === null) {
+      scores = best
+    } else {
+      const combined = new Map()
+      scores.forEach((score, id) => {
+        if (best.has(id)) combined.set(id, score + best.get(id))
+      })
+      scores = combined
+    }
+
+    if (scores.size === 0) break
+  }
+
+  // Pinned products are results even when they do not match the words
+  rules.pinnedIds.forEach((id) => {
+    if (index.docs.has(id) && !scores.has(id)) scores.set(id, 0)
+  })
+
+  return [...scores]
+    .map(([id, score]) => [id, rankingScore(id, score, rules)])
+    .sort((a, b) => b[1] - a[1] || index.docs.get(a[0]).title.localeCompare(index.docs.get(b[0]).title))
+    .map(([id]) => id)
+}
+
+// Updated: feat: Add inverted search index for off-thread product search
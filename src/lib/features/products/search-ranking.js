@@ -0,0 +1,311 @@
+/**
+ * Search Ranking - ShoppyGlobe E-commerce
+ *
+ * Typo-tolerant, ranked product search used by the query engine:
+ * - Tokenizes queries and product fields (case and accent insensitive)
+ * - Matches each query term exactly, as a prefix, inside a word, or within a
+ *   small edit distance ("iphnoe" finds "iPhone", "moisturiser" finds "moisturizer")
+ * - Weights matches by field: title > brand > category > tags > description
+ * - Suggests corrected queries ("did you mean") for queries with no match
+ * - Finds the ranges of a title to highlight for a query
+ */
+
+/**
+ * Field Weights
+ *
+ * How much a match in each product field counts towards the relevance score.
+ */
+export const FIELD_WEIGHTS = {
+  title: 8,
+  brand: 4,
+  category: 3,
+  tags: 2,
+  description: 1,
+}
+
+// Match quality by kind; a fuzzy match loses FUZZY_PENALTY per edit
+const EXACT_MATCH = 1
+const PREFIX_MATCH = 0.9
+const INFIX_MATCH = 0.7
+const FUZZY_MATCH = 0.6
+const FUZZY_PENALTY = 0.15
+
+// Word characters of any script; everything else separates tokens
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu
+
+/**
+ * Normalize Text
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Lowercased text without accents
+ */
+const normalize = (text) => text.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase()
+
+/**
+ * Tokenize Text
+ *
+ * @param {unknown} text - Text to split; non-strings have no tokens
+ * @returns {string[]} Normalized tokens
+ */
+export const tokenize = (text) => (typeof text === "string" ? normalize(text).match(TOKEN_PATTERN) ?? [] : [])
+
+/**
+ * Term Groups Of Query
+ *
+ * A query is matched as groups of alternative terms, one group per query
+ * word; merchandising synonyms add alternatives to a group.
+ *
+ * @param {string|string[][]} query - Query text, or groups already expanded
+ * @returns {string[][]} Term groups
+ */
+export const termGroupsOf = (query) => (typeof query === "string" ? tokenize(query).map((term) => [term]) : query)
+
+/**
+ * Best Match Quality For A Term Group
+ *
+ * @param {string[]} group - Alternative terms
+ * @param {string} token - Normalized field token
+ * @returns {number} Best quality of any alternative
+ */
+export const matchGroup = (group, token) => Math.max(...group.map((term) => matchTerm(term, token)))
+
+/**
+ * Allowed Edits
+ *
+ * Short terms must match exactly; longer ones tolerate one or two typos.
+ *
+ * @param {string} term - Query term
+ * @returns {number} Maximum edit distance
+ */
+const allowedEdits = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0)
+
+/**
+ * Edit Distance
+ *
+ * Optimal string alignment distance: insertions, deletions, substitutions
+ * and swaps of adjacent characters each cost one edit. Gives up once the
+ * distance is known to exceed `max`.
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when it is larger than max
+ */
+export const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let beforePrevious = []
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, current[j])
+    }
+
+    if (rowMin > max) return max + 1
+    beforePrevious = previous
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Match Term Against Token
+ *
+ * @param {string} term - Normalized query term
+ * @param {string} token - Normalized field token
+ * @returns {number} Match quality from 0 (no match) to 1 (exact)
+ */
+export const matchTerm = (term, token) => {
+  if (token === term) return EXACT_MATCH
+  if (token.startsWith(term)) return PREFIX_MATCH
+  if (term.length >= 3 && token.includes(term)) return INFIX_MATCH
+
+  const max = allowedEdits(term)
+  if (max === 0) return 0
+
+  const distance = editDistance(term, token, max)
+  return distance <= max ? FUZZY_MATCH - FUZZY_PENALTY * (distance - 1) : 0
+}
+
+// Tokenized fields per product, so each product is only tokenized once
+const fieldCache = new WeakMap()
+
+/**
+ * Product Field Tokens
+ *
+ * @param {Product} product - Product to tokenize
+ * @returns {Object<string, string[]>} Tokens keyed by field name
+ */
+const fieldTokens = (product) => {
+  let fields = fieldCache.get(product)
+  if (!fields) {
+    fields = {
+      title: tokenize(product.title),
+      brand: tokenize(product.brand),
+      category: tokenize(product.category),
+      tags: (product.tags || []).flatMap(tokenize),
+      description: tokenize(product.description),
+    }
+    fieldCache.set(product, fields)
+  }
+  return fields
+}
+
+/**
+ * Score Product
+ *
+ * Every query word (or one of its synonyms) has to match somewhere; each
+ * contributes its best weighted match. A product that misses any word
+ * scores 0.
+ *
+ * @param {Product} product - Product to score
+ * @param {string|string[][]} query - Search query, or its term groups
+ * @returns {number} Relevance score, 0 when the product does not match
+ */
+export const scoreProduct = (product, query) => {
+  const groups = termGroupsOf(query)
+  if (groups.length === 0) return 0
+
+  const fields = fieldTokens(product)
+  let score = 0
+
+  for (const group of groups) {
+    let best = 0
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      // A weaker field cannot beat what has already been found
+      if (weight <= best) continue
+      for (const token of fields[field]) {
+        const quality = matchGroup(group, token)
+        if (quality > 0) best = Math.max(best, weight * quality)
+        if (quality === EXACT_MATCH) break
+      }
+    }
+
+    if (best === 0) return 0
+    score += best
+  }
+
+  return score
+}
+
+/**
+ * Matches Text
+ *
+ * Whether every query term matches a word of the text, with the same typo
+ * tolerance as product search. Used for short labels such as category and
+ * brand names.
+ *
+ * @param {string} text - Text to test
+ * @param {string} query - Search query
+ * @returns {boolean} True when the text matches the whole query
+ */
+export const matchesText = (text, query) => {
+  const terms = tokenize(query)
+  const tokens = tokenize(text)
+  return terms.length > 0 && terms.every((term) => tokens.some((token) => matchTerm(term, token) > 0))
+}
+
+/**
+ * Suggest Queries
+ *
+ * "Did you mean" candidates for a query that matched nothing: each term is
+ * swapped for the closest word in the products' titles, brands, categories
+ * and tags, allowing more typos than matching does. Only suggestions that
+ * would find something are returned.
+ *
+ * @param {Product[]} products - Products to draw words from and test against
+ * @param {string} query - Query that found nothing
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {string[]} Suggested queries, closest first
+ */
+export const suggestQueries = (products, query, limit = 3) => {
+  const terms = tokenize(query)
+  if (terms.length === 0) return []
+
+  const vocabulary = new Set()
+  products.forEach((product) => {
+    const { title, brand, category, tags } = fieldTokens(product)
+    ;[title, brand, category, tags].forEach((tokens) => tokens.forEach((token) => vocabulary.add(token)))
+  })
+
+  // Closest words for every term, nearest first; known words are kept as typed
+  const candidates = terms.map((term) => {
+    if (vocabulary.has(term)) return [term]
+
+    const max = Math.floor((term.length + 1) / 3)
+    const words = [...vocabulary]
+      .map((word) => ({ word, distance: editDistance(term, word, max) }))
+      .filter(({ distance }) => distance <= max)
+      .sort((a, b) => a.distance - b.distance || a.word.localeCompare(b.word))
+      .map(({ word }) => word)
+    return words.length > 0 ? words : [term]
+  })
+
+  const suggestions = []
+  const depth = Math.max(...candidates.map((words) => words.length))
+
+  for (let i = 0; i < depth && suggestions.length < limit; i++) {
+    const suggestion = candidates.map((words) => words[Math.min(i, words.length - 1)]).join(" ")
+    if (suggestions.includes(suggestion) || suggestion === terms.join(" ")) continue
+    if (products.some((product) => scoreProduct(product, suggestion) > 0)) {
+      suggestions.push(suggestion)
+    }
+  }
+
+  return suggestions
+}
+
+/**
+ * Highlight Matches
+ *
+ * Splits text into plain and matched segments for a query, so matched
+ * words (or the matched part of a word) can be marked up.
+ *
+ * @param {string} text - Text to highlight, usually a product title
+ * @param {string|string[][]} query - Search query, or its term groups
+ * @returns {Array<{text: string, match: boolean}>} Segments in order
+ */
+export const highlightMatches = (text, query) => {
+  const terms = termGroupsOf(query).flat()
+  if (!text || terms.length === 0) return [{ text: text ?? "", match: false }]
+
+  const segments = []
+  let cursor = 0
+
+  for (const { 0: word, index } of text.matchAll(TOKEN_PATTERN)) {
+    const token = normalize(word)
+    let range = null
+
+    for (const term of terms) {
+      const quality = matchTerm(term, token)
+      if (quality === 0) continue
+
+      // Mark only the typed part of prefix and infix matches, as long as
+      // normalizing did not change the word's length; otherwise the whole word
+      const partial = (quality === PREFIX_MATCH || quality === INFIX_MATCH) && token.length === word.length
+      range = partial ? [index + token.indexOf(term), term.length] : [index, word.length]
+      break
+    }
+
+    if (!range) continue
+    if (range[0] > cursor) segments.push({ text: text.slice(cursor, range[0]), match: false })
+    segments.push({ text: text.slice(range[0], range[0] + range[1]), match: true })
+    cursor = range[0] + range[1]
+  }
+
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false })
+  return segments
+}
+
+// Updated: feat: Add typo-tolerant ranked product search
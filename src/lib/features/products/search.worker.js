@@ -0,0 +1,51 @@
+/**
+ * Search Worker - ShoppyGlobe E-commerce
+ *
+ * Keeps the catalog's search index off the main thread.
+ *
+ * Messages in:
+ * - { type: "index", products } - add or replace products in the index
+ * - { type: "search", requestId, channel, query } - run a query
+ *
+ * Messages out:
+ * - { requestId, channel, query, ids } - ranked product ids for a query
+ *
+ * Queries are answered on the next tick, and only the newest query per
+ * channel is run, so a burst of keystrokes costs one search.
+ */
+
+import { createSearchIndex, indexProducts, searchIndex } from "./search-index"
+
+const index = createSearchIndex()
+
+// Newest unanswered search per channel
+const pending = new Map()
+let scheduled = false
+
+const runPending = () => {
+  scheduled = false
+  const requests = [...pending.values()]
+  pending.clear()
+
+  requests.forEach(({ requestId, channel, query }) => {
+    self.postMessage({ requestId, channel, query, ids: searchIndex(index, query) })
+  })
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "index":
+      indexProducts(index, data.products)
+      break
+    case "search":
+      // A newer query replaces one still waiting on the same channel
+      pending.set(data.channel, data)
+      if (!scheduled) {
+        scheduled = true
+        setTimeout(runPending, 0)
+      }
+      break
+  }
+}
+
+// Updated: feat: Add search worker for off-thread product search
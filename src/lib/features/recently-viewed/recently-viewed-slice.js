@@ -0,0 +1,106 @@
+/**
+ * Recently Viewed Redux Slice - ShoppyGlobe E-commerce
+ *
+ * This slice keeps the products the shopper opened most recently:
+ * - Viewing a product moves it to the front; each product appears once
+ * - The history is capped at RECENTLY_VIEWED_LIMIT products
+ * - Saved in localStorage by the store, so it survives new sessions
+ */
+
+import { createSlice } from "@reduxjs/toolkit"
+
+/**
+ * Recently Viewed Item Structure
+ *
+ * @typedef {Object} RecentlyViewedItem
+ * @property {number} id - Product identifier
+ * @property {string} title - Product name
+ * @property {number} price - Unit price
+ * @property {number} discountPercentage - Discount when viewed
+ * @property {number} rating - Average rating
+ * @property {string} image - Product image URL
+ * @property {number} viewedAt - When the product was last viewed (ms since epoch)
+ */
+
+/**
+ * localStorage key the store saves the history under
+ */
+export const RECENTLY_VIEWED_STORAGE_KEY = "shoppyglobe-recently-viewed"
+
+/**
+ * Number of products kept, newest first
+ */
+export const RECENTLY_VIEWED_LIMIT = 12
+
+const initialState = {
+  items: [],
+}
+
+/**
+ * Revive Recently Viewed
+ *
+ * Validates a saved history before it is loaded into the store.
+ *
+ * @param {unknown} saved - Parsed localStorage value
+ * @returns {{items: RecentlyViewedItem[]}|undefined} Slice state, or undefined when unusable
+ */
+export const reviveRecentlyViewed = (saved) => {
+  if (!Array.isArray(saved?.items)) return undefined
+
+  return {
+    items: saved.items
+      .filter((item) => item && typeof item.id === "number" && typeof item.title === "string")
+      .slice(0, RECENTLY_VIEWED_LIMIT),
+  }
+}
+
+/**
+ * Recently Viewed Redux Slice
+ *
+ * Actions:
+ * - recordProductView: Puts a product at the front of the history
+ * - clearRecentlyViewed: Empties the history
+ */
+const recentlyViewedSlice = createSlice({
+  name: "recentlyViewed",
+  initialState,
+  reducers: {
+    recordProductView: {
+      reducer: (state, action) => {
+        state.items = [action.payload, ...state.items.filter((item) => item.id !== action.payload.id)].slice(
+          0,
+          RECENTLY_VIEWED_LIMIT,
+        )
+      },
+      prepare: (product) => ({
+        payload: {
+          id: product.id,
+          title: product.title,
+          price: product.price,
+          discountPercentage: product.discountPercentage ?? 0,
+          rating: product.rating,
+          image: product.thumbnail,
+          viewedAt: Date.now(),
+        },
+      }),
+    },
+
+    clearRecentlyViewed: (state) => {
+      state.items = []
+    },
+  },
+})
+
+export const { recordProductView, clearRecentlyViewed } = recentlyViewedSlice.actions
+
+/**
+ * Select Recently Viewed Items
+ *
+ * @param {RootState} state - Redux root state
+ * @returns {RecentlyViewedItem[]} Viewed products, most recent first
+ */
+export const selectRecentlyViewed = (state) => state.recentlyViewed.items
+
+export default recentlyViewedSlice.reducer
+
+// Updated: feat: Add recently viewed Redux slice
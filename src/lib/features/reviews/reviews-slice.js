@@ -0,0 +1,117 @@
+/**
+ * Reviews Redux Slice - ShoppyGlobe E-commerce
+ *
+ * This slice keeps the reviews the shopper wrote in this browser:
+ * - Grouped by product, newest first
+ * - Shown alongside the catalog reviews and folded into the product average
+ * - Saved in localStorage by the store, so they survive new sessions
+ */
+
+import { createSelector, createSlice } from "@reduxjs/toolkit"
+
+/**
+ * Review Structure
+ *
+ * Same shape as the reviews in the catalog product payload, plus an id and
+ * a flag for reviews written locally.
+ *
+ * @typedef {Object} Review
+ * @property {string} [id] - Review identifier (local reviews only)
+ * @property {number} rating - Stars given, 1 to 5
+ * @property {string} comment - Review text
+ * @property {string} date - When the review was written (ISO 8601)
+ * @property {string} reviewerName - Reviewer's name
+ * @property {string} reviewerEmail - Reviewer's email
+ * @property {boolean} [local] - Written in this browser
+ */
+
+/**
+ * localStorage key the store saves the reviews under
+ */
+export const REVIEWS_STORAGE_KEY = "shoppyglobe-reviews"
+
+const initialState = {
+  byProduct: {},
+}
+
+/**
+ * Revive Reviews
+ *
+ * Validates saved reviews before they are loaded into the store.
+ *
+ * @param {unknown} saved - Parsed localStorage value
+ * @returns {{byProduct: Object<string, Review[]>}|undefined} Slice state, or undefined when unusable
+ */
+export const reviveReviews = (saved) => {
+  if (!saved?.byProduct || typeof saved.byProduct !== "object") return undefined
+
+  const byProduct = {}
+  Object.entries(saved.byProduct).forEach(([productId, reviews]) => {
+    if (!Array.isArray(reviews)) return
+
+    const valid = reviews.filter(
+      (review) => review && Number.isInteger(review.rating) && review.rating >= 1 && review.rating <= 5,
+    )
+    if (valid.length > 0) byProduct[productId] = valid
+  })
+
+  return { byProduct }
+}
+
+/**
+ * Reviews Redux Slice
+ *
+ * Actions:
+ * - addReview: Stores a review for a product
+ */
+const reviewsSlice = createSlice({
+  name: "reviews",
+  initialState,
+  reducers: {
+    addReview: {
+      reducer: (state, action) => {
+        const { productId, review } = action.payload
+        state.byProduct[productId] = [review, ...(state.byProduct[productId] ?? [])]
+      },
+      prepare: ({ productId, rating, comment, reviewerName, reviewerEmail }) => {
+        const date = new Date()
+
+        return {
+          payload: {
+            productId,
+            review: {
+              id: `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+              rating,
+              comment: comment.trim(),
+              date: date.toISOString(),
+              reviewerName: reviewerName.trim(),
+              reviewerEmail: reviewerEmail.trim(),
+              local: true,
+            },
+          },
+        }
+      },
+    },
+  },
+})
+
+export const { addReview } = reviewsSlice.actions
+
+// Shared empty list so products without local reviews select the same value
+const NO_REVIEWS = []
+
+/**
+ * Select Local Reviews
+ *
+ * @param {RootState} state - Redux root state
+ * @param {number} productId - Product ID
+ * @returns {Review[]} Reviews written in this browser, newest first
+ */
+export const selectLocalReviews = createSelector(
+  [(state) => state.reviews.byProduct, (state, productId) => productId],
+  (byProduct, productId) => byProduct[productId] ?? NO_REVIEWS,
+)
+
+export default reviewsSlice.reducer
+
+// Updated: feat: Add reviews Redux slice for locally written reviews
@@ -0,0 +1,114 @@
+/**
+ * Review Helpers - ShoppyGlobe E-commerce
+ *
+ * Pure functions behind the reviews section:
+ * - Combined average of the catalog rating and local reviews
+ * - Star histogram, sorting and validation of the review form
+ */
+
+/**
+ * Sort options for the review list
+ */
+export const REVIEW_SORTS = [
+  { value: "newest", label: "Newest" },
+  { value: "highest", label: "Highest rated" },
+  { value: "lowest", label: "Lowest rated" },
+]
+
+/**
+ * Shortest and longest comment accepted by the review form
+ */
+export const REVIEW_COMMENT_LENGTH = { min: 10, max: 1000 }
+
+const time = (review) => Date.parse(review.date) || 0
+
+const comparators = {
+  newest: (a, b) => time(b) - time(a),
+  highest: (a, b) => b.rating - a.rating || time(b) - time(a),
+  lowest: (a, b) => a.rating - b.rating || time(b) - time(a),
+}
+
+/**
+ * Sort Reviews
+ *
+ * @param {Review[]} reviews - Reviews to sort
+ * @param {string} sortBy - One of the REVIEW_SORTS values
+ * @returns {Review[]} New sorted array
+ */
+export const sortReviews = (reviews, sortBy) => [...reviews].sort(comparators[sortBy] ?? comparators.newest)
+
+/**
+ * Rating Histogram
+ *
+ * @param {Review[]} reviews - Reviews to count
+ * @returns {Object<number, number>} Number of reviews per star, 1 to 5
+ */
+export function ratingHistogram(reviews) {
+  const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+  reviews.forEach(({ rating }) => {
+    const stars = Math.min(5, Math.max(1, Math.round(rating)))
+    counts[stars] += 1
+  })
+  return counts
+}
+
+/**
+ * Combined Rating
+ *
+ * Folds local reviews into the catalog rating. The catalog rating stands
+ * for its reviews (at least one), so each local review moves the average
+ * as much as one catalog review would.
+ *
+ * @param {Product} product - Product with `rating` and `reviews`
+ * @param {Review[]} localReviews - Reviews written in this browser
+ * @returns {{average: number, count: number}} Average rounded to two decimals, and the number of reviews
+ */
+export function combinedRating(product, localReviews) {
+  const catalogCount = product.reviews?.length ?? 0
+  const localSum = localReviews.reduce((sum, review) => sum + review.rating, 0)
+
+  if (product.rating === undefined) {
+    const average = localReviews.length ? localSum / localReviews.length : 0
+    return { average: Math.round(average * 100) / 100, count: localReviews.length }
+  }
+
+  const weight = Math.max(catalogCount, 1)
+  const average = (product.rating * weight + localSum) / (weight + localReviews.length)
+
+  return { average: Math.round(average * 100) / 100, count: catalogCount + localReviews.length }
+}
+
+/**
+ * Validate Review
+ *
+ * @param {{rating: number, comment: string, reviewerName: string, reviewerEmail: string}} values - Form values
+ * @returns {Object<string, string>} Error message per invalid field, empty when valid
+ */
+export function validateReview({ rating, comment, reviewerName, reviewerEmail }) {
+  const errors = {}
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.rating = "Please choose a rating"
+  }
+
+  if (!reviewerName.trim()) {
+    errors.reviewerName = "Name is required"
+  }
+
+  if (!reviewerEmail.trim()) {
+    errors.reviewerEmail = "Email is required"
+  } else if (!/\S+@\S+\.\S+/.test(reviewerEmail)) {
+    errors.reviewerEmail = "Email is invalid"
+  }
+
+  const length = comment.trim().length
+  if (length < REVIEW_COMMENT_LENGTH.min) {
+    errors.comment = `Review must be at least ${REVIEW_COMMENT_LENGTH.min} characters`
+  } else if (length > REVIEW_COMMENT_LENGTH.max) {
+    errors.comment = `Review must be at most ${REVIEW_COMMENT_LENGTH.max} characters`
+  }
+
+  return errors
+}
+
+// Updated: feat: Add review sorting, histogram, combined rating and validation
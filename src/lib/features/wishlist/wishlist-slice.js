@@ -0,0 +1,174 @@
+/**
+ * Wishlist Redux Slice - ShoppyGlobe E-commerce
+ *
+ * This slice manages the shopper's saved products:
+ * - Add, remove and toggle products from any product view
+ * - Move a saved product to the cart (the cart slice adds it)
+ * - Saved in localStorage by the store, so the list survives new sessions
+ *
+ * Only a snapshot of each product is kept; current price and stock come
+ * from the catalog when the wishlist is shown.
+ */
+
+import { createSlice } from "@reduxjs/toolkit"
+
+/**
+ * Wishlist Item Structure
+ *
+ * @typedef {Object} WishlistItem
+ * @property {number} id - Product identifier
+ * @property {string} title - Product name when saved
+ * @property {number} price - Unit price when saved
+ * @property {string} image - Product image URL
+ * @property {number} addedAt - When the product was saved (ms since epoch)
+ */
+
+/**
+ * Wishlist State Structure
+ *
+ * @typedef {Object} WishlistState
+ * @property {WishlistItem[]} items - Saved products, newest first
+ */
+
+/**
+ * localStorage key the store saves the wishlist under
+ */
+export const WISHLIST_STORAGE_KEY = "shoppyglobe-wishlist"
+
+const initialState = {
+  items: [],
+}
+
+/**
+ * Wishlist Item From Product
+ *
+ * Prepares add/toggle payloads; accepts a catalog product or a wishlist item.
+ *
+ * @param {Product|WishlistItem} product - Product to save
+ * @returns {{payload: WishlistItem}} Action payload
+ */
+const prepareItem = (product) => ({
+  payload: {
+    id: product.id,
+    title: product.title,
+    price: product.price,
+    image: product.thumbnail ?? product.image,
+    addedAt: product.addedAt ?? Date.now(),
+  },
+})
+
+/**
+ * Cart Item From Product
+ *
+ * Prepares moveToCart payloads: the wishlist fields plus the stock and
+ * minimum order quantity the cart keeps the quantity within.
+ *
+ * @param {Product|WishlistItem} product - Product to move
+ * @returns {{payload: WishlistItem & {stock?: number, minimumOrderQuantity?: number}}} Action payload
+ */
+const prepareMove = (product) => ({
+  payload: {
+    ...prepareItem(product).payload,
+    stock: product.stock,
+    minimumOrderQuantity: product.minimumOrderQuantity,
+  },
+})
+
+/**
+ * Revive Wishlist
+ *
+ * Validates a saved wishlist before it is loaded into the store.
+ *
+ * @param {unknown} saved - Parsed localStorage value
+ * @returns {WishlistState|undefined} Wishlist state, or undefined when unusable
+ */
+export const reviveWishlist = (saved) => {
+  if (!Array.isArray(saved?.items)) return undefined
+
+  return {
+    items: saved.items.filter(
+      (item) => item && typeof item.id === "number" && typeof item.title === "string" && typeof item.price === "number",
+    ),
+  }
+}
+
+/**
+ * Wishlist Redux Slice
+ *
+ * Actions:
+ * - addToWishlist: Saves a product (no-op when already saved)
+ * - removeFromWishlist: Removes a product by ID
+ * - toggleWishlist: Saves or removes a product
+ * - moveToCart: Removes a product; the cart slice adds it to the cart
+ * - clearWishlist: Removes every product
+ */
+const wishlistSlice = createSlice({
+  name: "wishlist",
+  initialState,
+  reducers: {
+    addToWishlist: {
+      reducer: (state, action) => {
+        if (!state.items.some((item) => item.id === action.payload.id)) {
+          state.items.unshift(action.payload)
+        }
+      },
+      prepare: prepareItem,
+    },
+
+    removeFromWishlist: (state, action) => {
+      state.items = state.items.filter((item) => item.id !== action.payload)
+    },
+
+    toggleWishlist: {
+      reducer: (state, action) => {
+        const saved = state.items.some((item) => item.id === action.payload.id)
+        state.items = saved
+          ? state.items.filter((item) => item.id !== action.payload.id)
+          : [action.payload, ...state.items]
+      },
+      prepare: prepareItem,
+    },
+
+    moveToCart: {
+      reducer: (state, action) => {
+        state.items = state.items.filter((item) => item.id !== action.payload.id)
+      },
+      prepare: prepareMove,
+    },
+
+    clearWishlist: (state) => {
+      state.items = []
+    },
+  },
+})
+
+export const { addToWishlist, removeFromWishlist, toggleWishlist, moveToCart, clearWishlist } = wishlistSlice.actions
+
+/**
+ * Select Wishlist Items
+ *
+ * @param {RootState} state - Redux root state
+ * @returns {WishlistItem[]} Saved products, newest first
+ */
+export const selectWishlistItems = (state) => state.wishlist.items
+
+/**
+ * Select Wishlist Count
+ *
+ * @param {RootState} state - Redux root state
+ * @returns {number} Number of saved products
+ */
+export const selectWishlistCount = (state) => state.wishlist.items.length
+
+/**
+ * Select Is In Wishlist
+ *
+ * @param {RootState} state - Redux root state
+ * @param {number} id - Product ID
+ * @returns {boolean} True when the product is saved
+ */
+export const selectIsInWishlist = (state, id) => state.wishlist.items.some((item) => item.id === id)
+
+export default wishlistSlice.reducer
+
+// Updated: feat: Add wishlist Redux slice
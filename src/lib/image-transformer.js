@@ -0,0 +1,122 @@
+/**
+ * Image Transformer - ShoppyGlobe E-commerce
+ *
+ * Builds resized image URLs for `srcset` and blurred previews. The image
+ * host decides how a size is requested, so the transformer is chosen by
+ * configuration, like the catalog adapter:
+ *
+ * - VITE_IMAGE_TRANSFORMER: "none" (default) | "query" | "template"
+ * - VITE_IMAGE_URL_TEMPLATE: URL for "template", with {src}, {width} and
+ *   {quality} placeholders, e.g. "https://cdn.example.com/w_{width},q_{quality}/{src}"
+ *
+ * "none" serves every image at its original size (DummyJSON images cannot
+ * be resized); "query" appends `w` and `q` search parameters. Only absolute
+ * http(s) URLs are transformed; local files are always used as they are.
+ */
+
+/**
+ * Image Transformer
+ *
+ * @callback ImageTransformer
+ * @param {string} src - Original image URL
+ * @param {{width: number, quality: number}} options - Requested width in pixels and quality (1-100)
+ * @returns {string|null} URL of the resized image, or null when it cannot be resized
+ */
+
+/**
+ * Widths offered in `srcset` by default, in pixels
+ */
+export const IMAGE_WIDTHS = [160, 320, 480, 640, 960, 1280]
+
+/**
+ * Quality of `srcset` candidates
+ */
+export const IMAGE_QUALITY = 75
+
+/**
+ * Width and quality of the blurred preview shown while an image loads
+ */
+export const PREVIEW_OPTIONS = { width: 24, quality: 20 }
+
+const isRemote = (src) => /^https?:\/\//i.test(src ?? "")
+
+/**
+ * Transformer factories keyed by the value of VITE_IMAGE_TRANSFORMER
+ */
+const transformerFactories = {
+  none: () => () => null,
+
+  query: () => (src, { width, quality }) => {
+    const url = new URL(src)
+    url.searchParams.set("w", String(width))
+    url.searchParams.set("q", String(quality))
+    return url.toString()
+  },
+
+  template: ({ template }) => {
+    if (!template) {
+      throw new Error('The "template" image transformer needs VITE_IMAGE_URL_TEMPLATE')
+    }
+
+    return (src, { width, quality }) =>
+      template
+        .replace("{src}", encodeURIComponent(src))
+        .replace("{width}", String(width))
+        .replace("{quality}", String(quality))
+  },
+}
+
+/**
+ * Create Image Transformer From Configuration
+ *
+ * @param {Object} [env] - Environment values, defaults to import.meta.env
+ * @returns {ImageTransformer} Transformer that leaves local files alone
+ */
+export function createImageTransformer(env = import.meta.env) {
+  const name = env.VITE_IMAGE_TRANSFORMER || "none"
+  const factory = transformerFactories[name]
+
+  if (!factory) {
+    throw new Error(
+      `Unknown image transformer "${name}". Expected one of: ${Object.keys(transformerFactories).join(", ")}`,
+    )
+  }
+
+  const transform = factory({ template: env.VITE_IMAGE_URL_TEMPLATE })
+  return (src, options) => (isRemote(src) ? transform(src, options) : null)
+}
+
+/**
+ * Shared transformer built from the environment
+ */
+export const imageTransformer = createImageTransformer()
+
+/**
+ * Build Srcset
+ *
+ * @param {string} src - Original image URL
+ * @param {number[]} [widths] - Candidate widths in pixels
+ * @param {ImageTransformer} [transform] - Transformer to use
+ * @returns {string|undefined} `srcset` value, or undefined when the image cannot be resized
+ */
+export function buildSrcSet(src, widths = IMAGE_WIDTHS, transform = imageTransformer) {
+  const candidates = widths
+    .map((width) => {
+      const url = transform(src, { width, quality: IMAGE_QUALITY })
+      return url ? `${url} ${width}w` : null
+    })
+    .filter(Boolean)
+
+  return candidates.length > 0 ? candidates.join(", ") : undefined
+}
+
+/**
+ * Preview Source
+ *
+ * @param {string} src - Original image URL
+ * @param {ImageTransformer} [transform] - Transformer to use
+ * @returns {string|null} Tiny, low-quality version of the image, or null when it cannot be resized
+ */
+export const previewSource = (src, transform = imageTransformer) => transform(src, PREVIEW_OPTIONS)
+
+// Updated: feat: Add configurable image URL transformer for srcset and previews
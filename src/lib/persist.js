@@ -0,0 +1,63 @@
+/**
+ * Persisted State - ShoppyGlobe E-commerce
+ *
+ * Keeps chosen Redux slices in localStorage so they survive reloads and
+ * new sessions:
+ * - `loadPersistedState` reads the saved slices for `preloadedState`
+ * - `persistSlices` writes a slice back whenever it changes
+ *
+ * Storage errors (private browsing, a full quota, malformed data) are
+ * ignored; the app then simply starts from the initial state.
+ */
+
+/**
+ * Load Persisted State
+ *
+ * @param {Object<string, {key: string, revive?: Function}>} slices - Storage key per slice name,
+ *   with an optional `revive(saved)` that validates the saved value and returns the slice state (or undefined)
+ * @returns {Object} Saved slices by name, for `configureStore({ preloadedState })`
+ */
+export const loadPersistedState = (slices) => {
+  const state = {}
+
+  Object.entries(slices).forEach(([name, { key, revive = (saved) => saved }]) => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(key))
+      const value = saved === null ? undefined : revive(saved)
+      if (value !== undefined) state[name] = value
+    } catch {
+      // Unavailable storage or malformed data - start from the initial state
+    }
+  })
+
+  return state
+}
+
+/**
+ * Persist Slices
+ *
+ * @param {Object} store - Redux store
+ * @param {Object<string, {key: string}>} slices - Storage key per slice name
+ * @returns {Function} Unsubscribe
+ */
+export const persistSlices = (store, slices) => {
+  const entries = Object.entries(slices)
+  const written = Object.fromEntries(entries.map(([name]) => [name, store.getState()[name]]))
+
+  return store.subscribe(() => {
+    const state = store.getState()
+
+    entries.forEach(([name, { key }]) => {
+      if (state[name] === written[name]) return
+
+      written[name] = state[name]
+      try {
+        localStorage.setItem(key, JSON.stringify(state[name]))
+      } catch {
+        // Private browsing or a full quota - the change is kept for this visit only
+      }
+    })
+  })
+}
+
+// Updated: feat: Add localStorage persistence for Redux slices
@@ -1,18 +1,49 @@
-// Redux store setup with cart and products slices
+// Redux store setup with cart, wishlist, recently viewed, orders, reviews and products slices
 
 import { configureStore } from "@reduxjs/toolkit"
+import { setupListeners } from "@reduxjs/toolkit/query"
 import cartReducer from "./features/cart/cart-slice"
 import productsReducer from "./features/products/products-slice"
+import wishlistReducer, { WISHLIST_STORAGE_KEY, reviveWishlist } from "./features/wishlist/wishlist-slice"
+import recentlyViewedReducer, {
+  RECENTLY_VIEWED_STORAGE_KEY,
+  reviveRecentlyViewed,
+} from "./features/recently-viewed/recently-viewed-slice"
+import ordersReducer, { ORDERS_STORAGE_KEY, reviveOrders } from "./features/orders/orders-slice"
+import reviewsReducer, { REVIEWS_STORAGE_KEY, reviveReviews } from "./features/reviews/reviews-slice"
+import { productsApi } from "./features/products/products-api"
+import { loadPersistedState, persistSlices } from "./persist"
+
+// Slices kept in localStorage across sessions
+const PERSISTED_SLICES = {
+  wishlist: { key: WISHLIST_STORAGE_KEY, revive: reviveWishlist },
+  recentlyViewed: { key: RECENTLY_VIEWED_STORAGE_KEY, revive: reviveRecentlyViewed },
+  orders: { key: ORDERS_STORAGE_KEY, revive: reviveOrders },
+  reviews: { key: REVIEWS_STORAGE_KEY, revive: reviveReviews },
+}
 
 // Configure the Redux store
 export const store = configureStore({
   reducer: {
     cart: cartReducer,
+    wishlist: wishlistReducer,
+    recentlyViewed: recentlyViewedReducer,
+    orders: ordersReducer,
+    reviews: reviewsReducer,
     products: productsReducer,
+    [productsApi.reducerPath]: productsApi.reducer,
   },
+  preloadedState: loadPersistedState(PERSISTED_SLICES),
+  middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(productsApi.middleware),
   devTools: process.env.NODE_ENV !== 'production',
 })
 
+// Save persisted slices whenever they change
+persistSlices(store, PERSISTED_SLICES)
+
+// Enable refetchOnFocus / refetchOnReconnect for RTK Query
+setupListeners(store.dispatch)
+
 // Store structure reference for development
 // RootState: ReturnType<typeof store.getState>
 // AppDispatch: typeof store.dispatch
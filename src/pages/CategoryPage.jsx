@@ -0,0 +1,51 @@
+/**
+ * CategoryPage Component - ShoppyGlobe E-commerce
+ *
+ * This page displays a single product category with:
+ * - Lazy loaded CategoryProducts component for better performance
+ * - Dynamic routing with category slug parameter
+ * - Header navigation
+ * - Shareable URL per category
+ * - Landing page for merchandising search redirects
+ */
+
+"use client"
+
+import { Suspense, lazy } from "react"
+import { useParams } from "react-router-dom"
+import { Header } from "@/components/header"
+import { LoadingSpinner } from "@/components/loading-spinner"
+import { useRedirectLanding } from "@/hooks/use-search-redirect"
+
+// Lazy load the CategoryProducts component for optimal performance
+const CategoryProducts = lazy(() =>
+  import("@/components/category-products").then((module) => ({ default: module.CategoryProducts })),
+)
+
+/**
+ * CategoryPage Component
+ *
+ * Page component for a category landing page with lazy loading.
+ * Extracts the category slug from URL parameters.
+ *
+ * @returns {JSX.Element} Category page with header and lazy-loaded product grid
+ */
+export default function CategoryPage() {
+  const { slug } = useParams()
+
+  // Searches redirected here are done; clear them so Back does not redirect again
+  useRedirectLanding()
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <main className="container mx-auto px-4 py-8">
+        <Suspense fallback={<LoadingSpinner />}>
+          <CategoryProducts slug={slug} />
+        </Suspense>
+      </main>
+    </div>
+  )
+}
+
+// Updated: feat: Add CategoryPage with dynamic routing
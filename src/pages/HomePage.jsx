@@ -5,6 +5,7 @@
  * - Lazy loaded ProductList component for better performance
  * - Welcome message and branding
  * - Header navigation with search functionality
+ * - Recently viewed products carousel
  * - Product grid with filtering and search capabilities
  * - Loading spinner fallback during lazy loading
  */
@@ -12,19 +13,32 @@
 import { Suspense, lazy } from "react"
 import { Header } from "@/components/header"
 import { LoadingSpinner } from "@/components/loading-spinner"
+import { useUrlFilters } from "@/hooks/use-url-filters"
+import { useSearchRedirect } from "@/hooks/use-search-redirect"
 
 // Lazy load the ProductList component for optimal performance
 const ProductList = lazy(() => import("@/components/product-list").then((module) => ({ default: module.ProductList })))
+const RecentlyViewed = lazy(() =>
+  import("@/components/recently-viewed").then((module) => ({ default: module.RecentlyViewed })),
+)
 
 /**
  * HomePage Component
  * 
  * Main landing page component with lazy loading for optimal performance.
  * Displays welcome message and product listing.
+ * Keeps search, category and sort in sync with the URL (?q=&category=&sort=).
+ * Follows merchandising redirects for keyword searches.
  * 
  * @returns {JSX.Element} Home page with header and lazy-loaded product list
  */
 export default function HomePage() {
+  // Shareable, bookmarkable filters that follow browser history
+  useUrlFilters()
+
+  // Keyword searches configured as redirects open their category page
+  useSearchRedirect()
+
   return (
     <div className="min-h-screen bg-background">
       <Header />
@@ -35,6 +49,11 @@ export default function HomePage() {
           <p className="text-lg text-muted-foreground text-pretty">Discover amazing products from around the world</p>
         </div>
         
+        {/* Recently Viewed - hidden until the shopper has opened a product */}
+        <Suspense fallback={null}>
+          <RecentlyViewed className="mb-8" />
+        </Suspense>
+
         {/* Lazy Loaded Product List */}
         <Suspense fallback={<LoadingSpinner />}>
           <ProductList />
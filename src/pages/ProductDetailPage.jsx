@@ -7,6 +7,7 @@
  * - Header navigation
  * - Complete product information display
  * - Add to cart functionality
+ * - Recently viewed products carousel at the bottom
  */
 
 "use client"
@@ -18,6 +19,9 @@ import { LoadingSpinner } from "@/components/loading-spinner"
 
 // Lazy load the ProductDetail component for optimal performance
 const ProductDetail = lazy(() => import("@/components/product-detail").then((module) => ({ default: module.ProductDetail })))
+const RecentlyViewed = lazy(() =>
+  import("@/components/recently-viewed").then((module) => ({ default: module.RecentlyViewed })),
+)
 
 /**
  * ProductDetailPage Component
@@ -35,7 +39,13 @@ export default function ProductDetailPage() {
       <Header />
       <main className="container mx-auto px-4 py-8">
         <Suspense fallback={<LoadingSpinner />}>
-          <ProductDetail productId={Number(id)} />
+          {/* Keyed by id so gallery and lightbox state start over for every product */}
+          <ProductDetail key={id} productId={Number(id)} />
+        </Suspense>
+
+        {/* Recently Viewed - the product on screen is left out */}
+        <Suspense fallback={null}>
+          <RecentlyViewed excludeId={Number(id)} className="max-w-6xl mx-auto mt-12" />
         </Suspense>
       </main>
     </div>
@@ -0,0 +1,37 @@
+/**
+ * WishlistPage Component - ShoppyGlobe E-commerce
+ *
+ * This page displays the shopper's wishlist with:
+ * - Lazy loaded Wishlist component for better performance
+ * - Header navigation
+ * - Current prices and stock for every saved product
+ */
+
+import { Suspense, lazy } from "react"
+import { Header } from "@/components/header"
+import { LoadingSpinner } from "@/components/loading-spinner"
+
+// Lazy load the Wishlist component for optimal performance
+const Wishlist = lazy(() => import("@/components/wishlist").then((module) => ({ default: module.Wishlist })))
+
+/**
+ * WishlistPage Component
+ *
+ * Page component for saved products with lazy loading.
+ *
+ * @returns {JSX.Element} Wishlist page with header and lazy-loaded wishlist
+ */
+export default function WishlistPage() {
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <main className="container mx-auto px-4 py-8">
+        <Suspense fallback={<LoadingSpinner />}>
+          <Wishlist />
+        </Suspense>
+      </main>
+    </div>
+  )
+}
+
+// Updated: feat: Add WishlistPage for saved products